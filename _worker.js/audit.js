@@ -0,0 +1,147 @@
+// Audit log of admin changes.
+//
+// Every admin mutation appends one entry under `audit/`: who did what and when, and for
+// changes to a single actor the full record before and after plus a per-field diff, so any
+// earlier version can be restored. IDs start with an inverted timestamp so the newest entries
+// are listed first, and the fields the log is filtered by are mirrored into the object's
+// custom metadata so filtering doesn't need to read every entry.
+
+const AUDIT_PREFIX = 'audit/';
+const MAX_TIMESTAMP = 9999999999999;
+const LIST_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fields that are fixed or change on every write and would only clutter the diff
+const IGNORED_FIELDS = ['id', 'created_at', 'updated_at', 'version', 'position'];
+
+export const AUDIT_ACTIONS = [
+    'actor.create',
+    'actor.update',
+    'actor.delete',
+    'actor.restore',
+    'actors.reorder',
+    'post.create',
+    'post.update',
+    'post.delete',
+    'roster.import',
+    'roster.restore',
+    'inquiry.update',
+    'trash.restore',
+    'trash.purge',
+    'storage.repair',
+    'user.create',
+    'user.update',
+    'user.delete',
+];
+
+function auditKey(id) {
+    return `${AUDIT_PREFIX}${id}.json`;
+}
+
+// Appends an entry. `before`/`after` are the actor records around the change (null when the
+// actor didn't exist on that side); `details` carries anything else worth keeping.
+// A failure to write the log is reported but never undoes or fails the change itself.
+export async function recordAudit(bucket, { user, action, before = null, after = null, changes, details }) {
+    const now = new Date();
+    const actor = after || before;
+    const entry = {
+        id: `${String(MAX_TIMESTAMP - now.getTime()).padStart(13, '0')}-${crypto.randomUUID().slice(0, 8)}`,
+        at: now.toISOString(),
+        user: user || null,
+        action,
+        actor_id: actor ? actor.id : null,
+        actor_name: actor ? actor.name : null,
+        changes: changes || diffRecords(before, after),
+        before: before && stripDerived(before),
+        after: after && stripDerived(after),
+        details: details || null,
+    };
+
+    try {
+        await bucket.put(auditKey(entry.id), JSON.stringify(entry), {
+            httpMetadata: { contentType: 'application/json' },
+            customMetadata: {
+                action,
+                user: entry.user || '',
+                actor_id: entry.actor_id || '',
+            },
+        });
+    } catch (error) {
+        console.error('Could not write audit entry', action, error);
+    }
+    return entry;
+}
+
+// { field: { before, after } } for every field that differs
+export function diffRecords(before, after) {
+    const changes = {};
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    for (const field of fields) {
+        if (IGNORED_FIELDS.includes(field)) continue;
+        const oldValue = (before && before[field]) ?? null;
+        const newValue = (after && after[field]) ?? null;
+        if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+            changes[field] = { before: oldValue, after: newValue };
+        }
+    }
+    return changes;
+}
+
+// Returns one page of entries, newest first, matching every given filter. `since` and `until`
+// are ISO dates or timestamps (a plain date covers that whole day); `cursor` is the id of the
+// last entry of the previous page.
+export async function listAudit(bucket, { actorId, action, user, since, until, cursor, limit = LIST_PAGE_SIZE } = {}) {
+    const pageSize = Math.min(Math.max(Number(limit) || LIST_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const sinceTime = since ? Date.parse(since) : -Infinity;
+    const untilTime = until ? Date.parse(until) + (DATE_ONLY.test(until) ? DAY_MS - 1 : 0) : Infinity;
+    const ids = [];
+    let nextCursor = null;
+    let listCursor;
+    let listed;
+
+    listing: do {
+        listed = await bucket.list({ prefix: AUDIT_PREFIX, cursor: listCursor, include: ['customMetadata'] });
+        listCursor = listed.cursor;
+        for (const object of listed.objects) {
+            const id = object.key.slice(AUDIT_PREFIX.length, -'.json'.length);
+            const time = entryTime(id);
+            if (cursor && id <= cursor) continue;
+            if (time > untilTime) continue;
+            // Entries are listed newest first, so nothing further along can match
+            if (time < sinceTime) break listing;
+
+            const metadata = object.customMetadata || {};
+            if ((actorId && metadata.actor_id !== actorId)
+                || (action && metadata.action !== action)
+                || (user && metadata.user !== user)) continue;
+
+            if (ids.length === pageSize) {
+                nextCursor = ids[ids.length - 1];
+                break listing;
+            }
+            ids.push(id);
+        }
+    } while (listed.truncated);
+
+    const entries = await Promise.all(ids.map(id => getAuditEntry(bucket, id)));
+    return { entries: entries.filter(entry => entry !== null), next_cursor: nextCursor };
+}
+
+export async function getAuditEntry(bucket, id) {
+    if (!/^\d{13}-[0-9a-f]{8}$/.test(id)) {
+        return null;
+    }
+    const object = await bucket.get(auditKey(id));
+    return object === null ? null : object.json();
+}
+
+function entryTime(id) {
+    return MAX_TIMESTAMP - Number(id.slice(0, 13));
+}
+
+function stripDerived(actor) {
+    const { version, position, ...record } = actor;
+    return record;
+}
@@ -0,0 +1,151 @@
+// Admin authentication.
+//
+// Sessions are stateless tokens of the form base64url(payload).base64url(HMAC-SHA256(payload)),
+// signed with env.SESSION_SECRET. The same token is accepted from the session cookie or an
+// `Authorization: Bearer` header so scripts and tests can call the admin API directly.
+// A session only names the user and the generation of their sessions it belongs to; what they
+// may do, and whether the session still counts, is looked up per request (see users.js).
+//
+// Passwords of stored accounts are kept as PBKDF2-SHA256 hashes with a random salt.
+
+export const SESSION_COOKIE = 'admin_session';
+export const SESSION_TTL_SECONDS = 60 * 60 * 12;
+// The most the Workers runtime allows for PBKDF2
+const PASSWORD_ITERATIONS = 100000;
+
+export function isAuthConfigured(env) {
+    return Boolean(env.ADMIN_USERNAME && env.ADMIN_PASSWORD && env.SESSION_SECRET);
+}
+
+export async function readCredentials(request) {
+    const contentType = request.headers.get('Content-Type') || '';
+    if (contentType.includes('application/json')) {
+        const body = await request.json();
+        return { username: String(body.username || ''), password: String(body.password || '') };
+    }
+    const formData = await request.formData();
+    return { username: String(formData.get('username') || ''), password: String(formData.get('password') || '') };
+}
+
+export async function createSessionToken(env, username, generation = 0) {
+    const expires = Date.now() + SESSION_TTL_SECONDS * 1000;
+    const payload = base64UrlEncode(new TextEncoder().encode(JSON.stringify({
+        sub: username,
+        gen: generation,
+        exp: Math.floor(expires / 1000),
+    })));
+    const signature = await sign(env, payload);
+    return { token: `${payload}.${signature}`, expires };
+}
+
+async function verifySessionToken(env, token) {
+    const [payload, signature] = (token || '').split('.');
+    if (!payload || !signature) return null;
+
+    const expected = await sign(env, payload);
+    if (!constantTimeEqual(signature, expected)) return null;
+
+    try {
+        const session = JSON.parse(new TextDecoder().decode(base64UrlDecode(payload)));
+        if (!session.exp || session.exp * 1000 < Date.now()) return null;
+        return session;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Returns the decoded session for the request, or null if there is none (or it is invalid/expired)
+export async function getSession(request, env) {
+    if (!isAuthConfigured(env)) return null;
+
+    const authorization = request.headers.get('Authorization') || '';
+    if (authorization.startsWith('Bearer ')) {
+        return verifySessionToken(env, authorization.slice('Bearer '.length).trim());
+    }
+
+    const cookies = parseCookies(request.headers.get('Cookie'));
+    return verifySessionToken(env, cookies[SESSION_COOKIE]);
+}
+
+export function sessionCookie(token, maxAge) {
+    return `${SESSION_COOKIE}=${token}; Path=/; Max-Age=${maxAge}; HttpOnly; Secure; SameSite=Strict`;
+}
+
+// { salt, hash, iterations } for storing
+export async function hashPassword(password) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const hash = await pbkdf2(password, salt, PASSWORD_ITERATIONS);
+    return { salt: base64UrlEncode(salt), hash: base64UrlEncode(hash), iterations: PASSWORD_ITERATIONS };
+}
+
+export async function verifyPassword(password, stored) {
+    if (!stored || !stored.salt || !stored.hash) return false;
+    const hash = await pbkdf2(password, base64UrlDecode(stored.salt), stored.iterations);
+    return constantTimeEqual(base64UrlEncode(hash), stored.hash);
+}
+
+// A random URL-safe token, e.g. for invitation links
+export function randomToken() {
+    return base64UrlEncode(crypto.getRandomValues(new Uint8Array(32)));
+}
+
+// Hex SHA-256, for storing a token without being able to use it
+export async function sha256(value) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+async function pbkdf2(password, salt, iterations) {
+    const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, 256);
+    return new Uint8Array(bits);
+}
+
+function parseCookies(header) {
+    const cookies = {};
+    (header || '').split(';').forEach(part => {
+        const index = part.indexOf('=');
+        if (index === -1) return;
+        cookies[part.slice(0, index).trim()] = part.slice(index + 1).trim();
+    });
+    return cookies;
+}
+
+async function sign(env, value) {
+    const key = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(env.SESSION_SECRET),
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign']
+    );
+    const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(value));
+    return base64UrlEncode(new Uint8Array(signature));
+}
+
+// Compares two secrets without leaking their length or content through timing,
+// by comparing their HMACs instead of the raw strings
+export async function safeEqual(env, a, b) {
+    const [signedA, signedB] = await Promise.all([sign(env, a), sign(env, b)]);
+    return constantTimeEqual(signedA, signedB);
+}
+
+function constantTimeEqual(a, b) {
+    if (a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+        diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return diff === 0;
+}
+
+function base64UrlEncode(bytes) {
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlDecode(value) {
+    const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
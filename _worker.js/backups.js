@@ -0,0 +1,391 @@
+// Roster backups, imports and snapshots.
+//
+// A backup is a JSON document { format, version, exported_at, actors } holding every actor
+// record in carousel order. The full export packs that document as `roster.json` into a zip
+// together with every photo object the roster references, so it can be restored into an empty
+// bucket; uploaded video clips are left out (see videos.js). Imports accept either form, and also a bare array of actors (the old `actors.json`).
+//
+// Before every write the API stores a snapshot of the roster in the same format under
+// `snapshots/`. Snapshot IDs start with an inverted timestamp so the newest is listed first;
+// only the latest SNAPSHOT_LIMIT are kept. Restoring one rolls the roster back to just before
+// that write.
+
+import { importActors, listActors, listAll } from './storage.js';
+import { sha256 } from './auth.js';
+import { ACTOR_SCHEMA, ValidationError, validateRecord } from './schema.js';
+import { photoObjectKeys } from './images.js';
+import { actorPhotoUrls, normalizePhoto, photoKey } from './photos.js';
+import { normalizeWork } from './works.js';
+import { sniffImageType } from './uploads.js';
+import { actorVideoUrls, isValidVideo } from './videos.js';
+import { containsMarkup } from './markup.js';
+import { isZip, readZip, zipStream } from './zip.js';
+
+export const BACKUP_FORMAT = 'studio-roster';
+export const IMPORT_MODES = ['merge', 'replace'];
+export const MAX_IMPORT_BYTES = 100 * 1024 * 1024;
+
+const BACKUP_VERSION = 1;
+const ROSTER_ENTRY = 'roster.json';
+const SNAPSHOT_PREFIX = 'snapshots/';
+const SNAPSHOT_LIMIT = 100;
+const MAX_TIMESTAMP = 9999999999999;
+
+const ACTOR_ID_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+const PHOTO_URL_PATTERN = /^\/api\/photos\/[A-Za-z0-9._-]+$/;
+const PHOTO_KEY_PATTERN = /^photos\/[A-Za-z0-9._@-]+$/;
+const SNAPSHOT_ID_PATTERN = /^\d{13}-[0-9a-f]{8}$/;
+
+export class BackupError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'BackupError';
+        this.status = status;
+    }
+}
+
+export async function exportRoster(bucket) {
+    return rosterDocument(await listActors(bucket));
+}
+
+// The roster plus every stored object (original and variants) of the photos it references
+export async function exportArchive(bucket) {
+    const roster = await exportRoster(bucket);
+    const urls = new Set(roster.actors.flatMap(actorPhotoUrls));
+    const keys = [...urls].flatMap(url => photoObjectKeys(photoKey(url)));
+    return zipStream(archiveEntries(bucket, roster, keys));
+}
+
+// Reads an uploaded backup: the request body itself, or the `file` field of a form.
+// Returns { roster, photos } where `photos` maps the photo keys found in a zip to a function
+// returning their bytes (it is empty for a JSON backup).
+export async function readBackupRequest(request) {
+    if (Number(request.headers.get('Content-Length')) > MAX_IMPORT_BYTES) {
+        throw new BackupError(413, `Backups larger than ${MAX_IMPORT_BYTES / (1024 * 1024)} MB can't be imported`);
+    }
+
+    let bytes;
+    if ((request.headers.get('Content-Type') || '').includes('multipart/form-data')) {
+        const file = (await request.formData()).get('file');
+        if (!file || typeof file === 'string') {
+            throw new BackupError(400, 'Choose a backup file to import');
+        }
+        bytes = new Uint8Array(await file.arrayBuffer());
+    } else {
+        bytes = new Uint8Array(await request.arrayBuffer());
+    }
+    return readBackup(bytes);
+}
+
+// Validates `backup` against the current roster and works out what importing it would change.
+// Unless this is a dry run (or the backup has errors) the roster is then snapshotted and the
+// import applied. In `replace` mode actors missing from the backup go to the trash, deleted by
+// `user`; in `merge` mode they are kept. Photos are never deleted by an import, so older
+// snapshots stay restorable.
+export async function importBackup(bucket, backup, { mode, dryRun = false, reason, user = null }) {
+    const plan = await planImport(bucket, backup, mode);
+    const report = { ...plan.report, dry_run: dryRun };
+    if (dryRun || !report.valid) {
+        return report;
+    }
+
+    await createSnapshot(bucket, reason || `import (${mode})`);
+    for (const { key, contentType } of plan.photos) {
+        await bucket.put(key, await backup.photos.get(key)(), {
+            httpMetadata: { contentType },
+        });
+    }
+    await importActors(bucket, plan.actors, { replace: mode === 'replace', user });
+    return report;
+}
+
+// Stores the current roster under snapshots/ unless nothing changed since the newest snapshot.
+// `reason` describes the write that is about to happen.
+export async function createSnapshot(bucket, reason) {
+    const roster = await exportRoster(bucket);
+    const hash = await sha256(JSON.stringify(roster.actors));
+
+    const latest = await bucket.list({ prefix: SNAPSHOT_PREFIX, limit: 1, include: ['customMetadata'] });
+    if (latest.objects.length > 0 && (latest.objects[0].customMetadata || {}).hash === hash) {
+        return null;
+    }
+
+    const id = `${String(MAX_TIMESTAMP - Date.now()).padStart(13, '0')}-${crypto.randomUUID().slice(0, 8)}`;
+    await bucket.put(snapshotKey(id), JSON.stringify(roster), {
+        httpMetadata: { contentType: 'application/json' },
+        customMetadata: {
+            reason,
+            hash,
+            actors: String(roster.actors.length),
+            created_at: roster.exported_at,
+        },
+    });
+    await pruneSnapshots(bucket);
+    return id;
+}
+
+// Newest first
+export async function listSnapshots(bucket) {
+    const objects = await listAll(bucket, SNAPSHOT_PREFIX, { include: ['customMetadata'] });
+    return objects.map(object => {
+        const metadata = object.customMetadata || {};
+        return {
+            id: snapshotId(object.key),
+            reason: metadata.reason || '',
+            actors: Number(metadata.actors) || 0,
+            created_at: metadata.created_at || object.uploaded,
+        };
+    });
+}
+
+export async function getSnapshot(bucket, id) {
+    if (!SNAPSHOT_ID_PATTERN.test(id)) {
+        return null;
+    }
+    const object = await bucket.get(snapshotKey(id));
+    return object === null ? null : object.json();
+}
+
+// Every photo and clip URL the stored snapshots point at. Restoring a snapshot brings these back,
+// so the storage check counts them as referenced (see health.js).
+export async function snapshotUrls(bucket) {
+    const urls = new Set();
+    for (const object of await listAll(bucket, SNAPSHOT_PREFIX)) {
+        const snapshot = await bucket.get(object.key);
+        if (snapshot === null) continue;
+        for (const actor of (await snapshot.json()).actors || []) {
+            [...actorPhotoUrls(actor), ...actorVideoUrls(actor)].forEach(url => urls.add(url));
+        }
+    }
+    return [...urls];
+}
+
+function rosterDocument(actors) {
+    return {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        exported_at: new Date().toISOString(),
+        actors: actors.map(({ version, position, ...record }) => record),
+    };
+}
+
+async function* archiveEntries(bucket, roster, keys) {
+    yield { name: ROSTER_ENTRY, data: new TextEncoder().encode(JSON.stringify(roster, null, 2)) };
+    for (const key of keys) {
+        // Variants only exist for photos uploaded while the Images binding was available
+        const object = await bucket.get(key);
+        if (object === null) continue;
+        yield { name: key, data: new Uint8Array(await object.arrayBuffer()), modified: object.uploaded };
+    }
+}
+
+async function readBackup(bytes) {
+    let roster;
+    let photos = new Map();
+    try {
+        if (isZip(bytes)) {
+            const entries = readZip(bytes);
+            if (!entries.has(ROSTER_ENTRY)) {
+                throw new BackupError(400, `The archive has no ${ROSTER_ENTRY}`);
+            }
+            roster = JSON.parse(new TextDecoder().decode(await entries.get(ROSTER_ENTRY)()));
+            photos = new Map([...entries]
+                .filter(([name]) => PHOTO_KEY_PATTERN.test(name))
+                .map(([name, read]) => [name, () => read().catch(error => {
+                    throw new BackupError(400, `Not a readable backup: ${error.message}`);
+                })]));
+        } else {
+            roster = JSON.parse(new TextDecoder().decode(bytes));
+        }
+    } catch (error) {
+        if (error instanceof BackupError) throw error;
+        throw new BackupError(400, `Not a readable backup: ${error.message}`);
+    }
+
+    // A copy of the legacy actors.json is a bare array of actors
+    if (Array.isArray(roster)) {
+        roster = { format: BACKUP_FORMAT, version: BACKUP_VERSION, actors: roster };
+    }
+    if (!roster || roster.format !== BACKUP_FORMAT || !Array.isArray(roster.actors)) {
+        throw new BackupError(400, 'Not a roster backup');
+    }
+    if (roster.version > BACKUP_VERSION) {
+        throw new BackupError(400, 'This backup was made by a newer version of the site');
+    }
+    return { roster, photos };
+}
+
+async function planImport(bucket, { roster, photos }, mode) {
+    const errors = [];
+    const warnings = [];
+    const actors = [];
+    const importedIds = new Set();
+
+    roster.actors.forEach((raw, index) => {
+        const result = validateActor(raw, index);
+        errors.push(...result.errors);
+        if (!result.actor) return;
+        if (importedIds.has(result.actor.id)) {
+            errors.push(`actors[${index}]: duplicate id "${result.actor.id}"`);
+            return;
+        }
+        importedIds.add(result.actor.id);
+        actors.push(result.actor);
+    });
+
+    const current = await listActors(bucket);
+    const currentById = new Map(current.map(actor => [actor.id, actor]));
+    const summary = actor => ({ id: actor.id, name: actor.name });
+    const changes = { created: [], updated: [], unchanged: [], removed: [] };
+    for (const actor of actors) {
+        const existing = currentById.get(actor.id);
+        if (!existing) {
+            changes.created.push(summary(actor));
+        } else if (sameRecord(existing, actor)) {
+            changes.unchanged.push(summary(actor));
+        } else {
+            changes.updated.push(summary(actor));
+        }
+    }
+    if (mode === 'replace') {
+        changes.removed = current.filter(actor => !importedIds.has(actor.id)).map(summary);
+    }
+
+    // Photo objects the archive can restore, and referenced photos nobody has
+    const photosToRestore = [];
+    const missing = [];
+    for (const url of new Set(actors.flatMap(actorPhotoUrls))) {
+        const keys = photoObjectKeys(photoKey(url));
+        const stored = await Promise.all(keys.map(key => bucket.head(key)));
+        if (stored[0] === null && !photos.has(keys[0])) {
+            missing.push(url);
+            warnings.push(`Photo ${url} is neither in the backup nor in storage`);
+        }
+        for (const [index, key] of keys.entries()) {
+            if (stored[index] !== null || !photos.has(key)) continue;
+            const type = await sniffImageType(new Blob([await photos.get(key)()]));
+            if (!type) {
+                errors.push(`${key} in the archive is not an image`);
+                continue;
+            }
+            photosToRestore.push({ key, contentType: type.contentType });
+        }
+    }
+
+    return {
+        actors,
+        photos: photosToRestore,
+        report: {
+            mode,
+            valid: errors.length === 0,
+            errors,
+            warnings,
+            actors: changes,
+            photos: { restored: photosToRestore.length, missing },
+        },
+    };
+}
+
+// Returns { errors, actor } where `actor` is the normalized record, or undefined if it has errors.
+// The fields the admin edits are held to the same schema as the API's (see schema.js); works
+// saved before categories were a fixed list are upgraded first, as when they are read.
+function validateActor(raw, index) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        return { errors: [`actors[${index}]: not an actor record`] };
+    }
+    const where = `actors[${index}]${typeof raw.name === 'string' && raw.name ? ` (${raw.name})` : ''}`;
+    const errors = [];
+
+    if (typeof raw.id !== 'string' || !ACTOR_ID_PATTERN.test(raw.id)) {
+        errors.push(`${where}: invalid id`);
+    }
+    let fields;
+    try {
+        fields = validateRecord(ACTOR_SCHEMA, editableFields(raw));
+    } catch (error) {
+        if (!(error instanceof ValidationError)) throw error;
+        errors.push(...Object.entries(error.fields).map(([path, message]) => `${where}: ${path}: ${message}`));
+    }
+    if (raw.main_photo != null && !PHOTO_URL_PATTERN.test(raw.main_photo)) {
+        errors.push(`${where}: invalid main photo URL`);
+    }
+    if (raw.photos !== undefined && !Array.isArray(raw.photos)) {
+        errors.push(`${where}: photos must be a list`);
+    } else {
+        (raw.photos || []).forEach((photo, photoIndex) => {
+            const url = typeof photo === 'string' ? photo : photo && photo.url;
+            if (typeof url !== 'string' || !PHOTO_URL_PATTERN.test(url)) {
+                errors.push(`${where}: invalid URL for photo ${photoIndex + 1}`);
+            }
+        });
+    }
+    if (raw.videos !== undefined && !Array.isArray(raw.videos)) {
+        errors.push(`${where}: videos must be a list`);
+    } else {
+        (raw.videos || []).forEach((video, videoIndex) => {
+            if (!isValidVideo(video)) {
+                errors.push(`${where}: invalid video ${videoIndex + 1}`);
+            }
+        });
+    }
+    if (containsMarkup(raw)) {
+        errors.push(`${where}: text must not contain HTML tags`);
+    }
+
+    if (errors.length > 0) {
+        return { errors };
+    }
+    const { version, position, ...record } = raw;
+    return {
+        errors,
+        actor: {
+            ...record,
+            ...fields,
+            photos: (record.photos || []).map(normalizePhoto),
+            videos: record.videos || [],
+        },
+    };
+}
+
+// The ACTOR_SCHEMA fields of an imported record, its works upgraded by normalizeWork
+function editableFields(raw) {
+    const values = {};
+    for (const field of Object.keys(ACTOR_SCHEMA)) {
+        if (raw[field] !== undefined) values[field] = raw[field];
+    }
+    if (Array.isArray(values.works)) {
+        values.works = values.works.map(work => (work && typeof work === 'object' && !Array.isArray(work) ? normalizeWork(work) : work));
+    }
+    return values;
+}
+
+function sameRecord(existing, imported) {
+    const { version, position, ...record } = existing;
+    return stableJson({ ...record, videos: record.videos || [], works: record.works || [] }) === stableJson(imported);
+}
+
+// JSON with object keys sorted, so records compare equal regardless of key order
+function stableJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().filter(key => value[key] !== undefined).map(key => `${JSON.stringify(key)}:${stableJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+function snapshotKey(id) {
+    return `${SNAPSHOT_PREFIX}${id}.json`;
+}
+
+function snapshotId(key) {
+    return key.slice(SNAPSHOT_PREFIX.length, -'.json'.length);
+}
+
+async function pruneSnapshots(bucket) {
+    const stale = (await listAll(bucket, SNAPSHOT_PREFIX)).slice(SNAPSHOT_LIMIT);
+    if (stale.length > 0) {
+        await bucket.delete(stale.map(object => object.key));
+    }
+}
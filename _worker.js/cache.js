@@ -0,0 +1,120 @@
+// HTTP caching of the public API.
+//
+// Photos are stored under random keys that are never reused (see uploads.js): a key's bytes
+// never change, so browsers and the CDN may keep them for a year, and a request that
+// revalidates anyway gets a 304. Range requests are answered with the bytes asked for.
+//
+// The public JSON (the actor listings, profiles, gallery pages, search and the blog) is built
+// from every actor record, so it is kept in the edge cache (Cache API) under a key that includes the
+// content version: the ETag of a small `cache/version` object in R2 that is rewritten after
+// every admin write (see index.js). A write makes every cached response unreachable at once,
+// in every data center, and the next view builds it afresh; stale entries simply expire.
+// Browsers revalidate on each view against an ETag made from the same version, so an edit
+// shows up on the next page load and an unchanged roster costs a single small R2 read.
+// The roster itself is cached the same way, for the JSON and the rendered pages alike.
+
+import { listActors } from './storage.js';
+
+const VERSION_KEY = 'cache/version';
+const JSON_EDGE_TTL = 24 * 60 * 60;
+
+export const PHOTO_CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+// Changes whenever bumpContentVersion is called
+export async function contentVersion(bucket) {
+    const object = await bucket.head(VERSION_KEY);
+    return object ? object.etag : '0';
+}
+
+export async function bumpContentVersion(bucket) {
+    await bucket.put(VERSION_KEY, new Date().toISOString());
+}
+
+// Answers a public JSON request from the edge cache, calling `build()` for the response on a
+// miss. `variant` is anything besides the URL the response depends on (its language). Admin
+// previews are never cached, and neither are errors.
+export async function cachedJson(request, env, ctx, variant, build) {
+    if (new URL(request.url).searchParams.get('preview') === '1') {
+        return build();
+    }
+    const version = await contentVersion(env.R2_BUCKET);
+    const etag = `W/"${version}-${variant}"`;
+    if (matchesEtag(request.headers.get('If-None-Match'), etag)) {
+        return new Response(null, { status: 304, headers: { 'ETag': etag, 'Cache-Control': 'no-cache' } });
+    }
+
+    const key = cacheKey(request, version, variant);
+    let response = await caches.default.match(key);
+    if (!response) {
+        const built = await build();
+        if (!built.ok) {
+            return built;
+        }
+        response = new Response(built.body, built);
+        response.headers.set('Cache-Control', `public, max-age=${JSON_EDGE_TTL}`);
+        ctx.waitUntil(caches.default.put(key, response.clone()));
+    }
+
+    response = new Response(response.body, response);
+    response.headers.set('ETag', etag);
+    response.headers.set('Cache-Control', 'no-cache');
+    return response;
+}
+
+// Every actor (drafts too, for previews) as listActors returns them, from the edge cache while
+// the content version is unchanged
+export async function cachedActors(request, env, ctx) {
+    const version = await contentVersion(env.R2_BUCKET);
+    const key = new Request(new URL(`/api/actors?roster=${version}`, request.url).toString(), { method: 'GET' });
+    const cached = await caches.default.match(key);
+    if (cached) {
+        return cached.json();
+    }
+
+    const actors = await listActors(env.R2_BUCKET);
+    const response = new Response(JSON.stringify(actors), {
+        headers: { 'Content-Type': 'application/json', 'Cache-Control': `public, max-age=${JSON_EDGE_TTL}` },
+    });
+    ctx.waitUntil(caches.default.put(key, response));
+    return actors;
+}
+
+// If-None-Match / If-Range against an ETag, weak comparison as for GET
+export function matchesEtag(header, etag) {
+    if (!header) {
+        return false;
+    }
+    const bare = value => value.trim().replace(/^W\//, '');
+    return header.split(',').some(value => value.trim() === '*' || bare(value) === bare(etag));
+}
+
+// The single byte range of a `Range: bytes=...` header as an R2 range ({ offset, length }).
+// Returns undefined when the whole object should be sent (no header, several ranges, or one
+// that doesn't parse) and null when the range lies outside the object (416).
+export function parseRange(header, size) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec(String(header || '').trim());
+    if (!match || (match[1] === '' && match[2] === '')) {
+        return undefined;
+    }
+    if (match[1] === '') {
+        const suffix = Math.min(Number(match[2]), size);
+        return suffix > 0 ? { offset: size - suffix, length: suffix } : null;
+    }
+    const start = Number(match[1]);
+    const end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+    if (match[2] !== '' && Number(match[2]) < start) {
+        return undefined;
+    }
+    if (start >= size) {
+        return null;
+    }
+    return { offset: start, length: end - start + 1 };
+}
+
+// Same URL apart from the language, which `variant` already covers, plus the content version
+function cacheKey(request, version, variant) {
+    const url = new URL(request.url);
+    const params = [...url.searchParams].filter(([name]) => name !== 'lang').sort(([a], [b]) => a.localeCompare(b));
+    url.search = new URLSearchParams([...params, ['v', `${version}-${variant}`]]).toString();
+    return new Request(url.toString(), { method: 'GET' });
+}
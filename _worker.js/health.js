@@ -0,0 +1,206 @@
+// Storage health check.
+//
+// Photos and video clips are stored in R2 apart from the actor records that point at them, so
+// a request that fails halfway can leave the two out of step: objects uploaded for a save that
+// never committed (orphans), or records pointing at objects that are gone (dangling
+// references). checkStorage compares every object under photos/ and videos/ with what the
+// roster, the trash, the snapshots and the blog posts' covers reference; repairStorage deletes the orphans and takes the dangling
+// references off the records. The admin API runs it on request, and the Worker's `scheduled`
+// handler on a cron trigger (see index.js).
+//
+// A save uploads its files before it commits the record, so an object only counts as an orphan
+// once it is ORPHAN_MIN_AGE_MINUTES old; a newer one may be about to be referenced. Photos
+// staged for the actor editor (staging.js) aren't orphans until their upload expires. Files only
+// a snapshot still points at (say, of actors a replace import removed) are kept so the snapshot
+// stays restorable; they go once the snapshot is pruned (see backups.js).
+
+import { NotFoundError, listActors, listAll, updateActor } from './storage.js';
+import { actorPhotoUrls, photoKey } from './photos.js';
+import { actorVideoUrls } from './videos.js';
+import { listTrash, purgeTrash, trashEntryUrls } from './trash.js';
+import { createSnapshot, snapshotUrls } from './backups.js';
+import { listPosts, updatePost } from './posts.js';
+import { listUploads } from './staging.js';
+import { diffRecords, recordAudit } from './audit.js';
+
+const STORED_PREFIXES = ['photos/', 'videos/'];
+const ORPHAN_MIN_AGE_MINUTES = 60;
+const MINUTE_MS = 60 * 1000;
+
+// { checked_at, objects, total_bytes, orphans, orphan_bytes, dangling }. Each orphan is one
+// photo or clip with all of its objects (a photo's resized variants included); each dangling
+// reference names the record and field that points at the missing object.
+export async function checkStorage(bucket) {
+    const [objects, actors, trash, posts, uploads, snapshotted] = await Promise.all([
+        listStoredObjects(bucket),
+        listActors(bucket),
+        listTrash(bucket),
+        listPosts(bucket),
+        listUploads(bucket),
+        snapshotUrls(bucket),
+    ]);
+
+    // photos/<name>@<size>.<format> belongs to photos/<name>
+    const stored = new Map();
+    for (const object of objects) {
+        const key = object.key.split('@')[0];
+        if (!stored.has(key)) stored.set(key, { keys: [], bytes: 0, uploaded: 0, original: false });
+        const entry = stored.get(key);
+        entry.keys.push(object.key);
+        entry.bytes += object.size;
+        entry.uploaded = Math.max(entry.uploaded, new Date(object.uploaded).getTime());
+        entry.original = entry.original || object.key === key;
+    }
+
+    const references = [
+        ...actors.flatMap(actor => actorReferences(actor).map(reference => ({
+            actor_id: actor.id,
+            actor_name: actor.name,
+            ...reference,
+        }))),
+        ...trash.photos.flatMap(entry => trashEntryUrls(entry).map(url => ({
+            actor_id: entry.actor_id,
+            actor_name: entry.actor_name,
+            field: 'trash',
+            trash_id: entry.id,
+            url,
+        }))),
+        ...posts.filter(post => post.cover).map(post => ({
+            post_id: post.id,
+            post_title: post.title,
+            field: 'cover',
+            url: post.cover,
+        })),
+    ];
+    const referenced = new Set([
+        ...references.map(reference => photoKey(reference.url)),
+        ...trash.actors.flatMap(actor => [...actorPhotoUrls(actor), ...actorVideoUrls(actor)]).map(photoKey),
+        ...uploads.filter(upload => upload.url).map(upload => photoKey(upload.url)),
+        ...snapshotted.map(photoKey),
+    ]);
+
+    const cutoff = Date.now() - ORPHAN_MIN_AGE_MINUTES * MINUTE_MS;
+    const orphans = [...stored.entries()]
+        .filter(([key, entry]) => !referenced.has(key) && entry.uploaded <= cutoff)
+        .map(([key, entry]) => ({
+            url: `/api/${key}`,
+            keys: entry.keys,
+            bytes: entry.bytes,
+            uploaded: new Date(entry.uploaded).toISOString(),
+        }));
+
+    return {
+        checked_at: new Date().toISOString(),
+        objects: objects.length,
+        total_bytes: objects.reduce((total, object) => total + object.size, 0),
+        orphans,
+        orphan_bytes: orphans.reduce((total, orphan) => total + orphan.bytes, 0),
+        dangling: references.filter(reference => !(stored.get(photoKey(reference.url)) || {}).original),
+    };
+}
+
+// Fixes what checkStorage finds: dangling references are taken off the actors (after a
+// snapshot, each change in the audit log as `user`), covers that are gone off their posts, and
+// trash entries of photos that are gone are dropped, then the orphans are deleted. Returns the report it worked from and what it did.
+export async function repairStorage(bucket, { user } = {}) {
+    const report = await checkStorage(bucket);
+
+    const missingByActor = new Map();
+    for (const reference of report.dangling.filter(reference => reference.actor_id && reference.field !== 'trash')) {
+        if (!missingByActor.has(reference.actor_id)) missingByActor.set(reference.actor_id, []);
+        missingByActor.get(reference.actor_id).push(reference.url);
+    }
+    if (missingByActor.size > 0) {
+        await createSnapshot(bucket, 'storage repair');
+    }
+    const repaired = [];
+    for (const [actorId, urls] of missingByActor) {
+        let before = null;
+        let after;
+        try {
+            after = await updateActor(bucket, actorId, actor => {
+                before = structuredClone(actor);
+                return withoutUrls(actor, urls);
+            });
+        } catch (error) {
+            // Deleted since the check; nothing left to repair
+            if (error instanceof NotFoundError) continue;
+            throw error;
+        }
+        await recordAudit(bucket, { user, action: 'storage.repair', before, after, details: { missing: urls } });
+        repaired.push({ id: after.id, name: after.name, removed: urls });
+    }
+
+    for (const reference of report.dangling.filter(reference => reference.post_id)) {
+        let before = null;
+        let after;
+        try {
+            after = await updatePost(bucket, reference.post_id, post => {
+                before = structuredClone(post);
+                return { ...post, cover: post.cover === reference.url ? null : post.cover };
+            });
+        } catch (error) {
+            if (error instanceof NotFoundError) continue;
+            throw error;
+        }
+        await recordAudit(bucket, {
+            user,
+            action: 'storage.repair',
+            changes: diffRecords(before, after),
+            details: { post_id: after.id, title: after.title, missing: [reference.url] },
+        });
+        repaired.push({ id: after.id, name: after.title, removed: [reference.url] });
+    }
+
+    const trashIds = report.dangling.filter(reference => reference.field === 'trash').map(reference => reference.trash_id);
+    if (trashIds.length > 0) {
+        await purgeTrash(bucket, { photoIds: trashIds });
+    }
+
+    const keys = report.orphans.flatMap(orphan => orphan.keys);
+    // R2 deletes at most 1000 keys per call
+    for (let start = 0; start < keys.length; start += 1000) {
+        await bucket.delete(keys.slice(start, start + 1000));
+    }
+
+    if (keys.length > 0 || trashIds.length > 0) {
+        await recordAudit(bucket, {
+            user,
+            action: 'storage.repair',
+            changes: {},
+            details: { orphans: report.orphans.map(orphan => orphan.url), bytes: report.orphan_bytes, trash_entries: trashIds.length },
+        });
+    }
+
+    return {
+        report,
+        deleted: { orphans: report.orphans.length, objects: keys.length, bytes: report.orphan_bytes },
+        repaired,
+        trash_entries_removed: trashIds.length,
+    };
+}
+
+// Every object an actor points at, by the field it is referenced from
+function actorReferences(actor) {
+    return [
+        { field: 'main_photo', url: actor.main_photo },
+        ...actor.photos.map(photo => ({ field: 'photos', url: photo.url })),
+        ...actor.videos.map(video => ({ field: 'videos', url: video.poster })),
+        ...actorVideoUrls(actor).map(url => ({ field: 'videos', url })),
+    ].filter(reference => reference.url);
+}
+
+// `actor` without the photos and videos whose objects are in `urls`
+function withoutUrls(actor, urls) {
+    actor.photos = actor.photos.filter(photo => !urls.includes(photo.url));
+    actor.videos = actor.videos.filter(video => !urls.includes(video.poster) && !urls.includes(video.url));
+    if (urls.includes(actor.main_photo)) {
+        actor.main_photo = null;
+    }
+    return actor;
+}
+
+async function listStoredObjects(bucket) {
+    const listed = await Promise.all(STORED_PREFIXES.map(prefix => listAll(bucket, prefix)));
+    return listed.flat();
+}
@@ -0,0 +1,18 @@
+// Escaping for the markup the Worker writes itself: the rendered pages, the feed and sitemap
+// (pages.js) and the HTML of blog posts (markdown.js).
+
+export function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// `url` if it is relative or an http(s) link, otherwise ''; the same rule as js/render.js
+export function safeUrl(url) {
+    const value = String(url ?? '').replace(/[\u0000-\u001F\u007F]/g, '').trim();
+    const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(value);
+    return !scheme || /^https?$/i.test(scheme[1]) ? value : '';
+}
@@ -0,0 +1,95 @@
+// Languages of the public site.
+//
+// Actor records keep their Korean text in the plain fields (`large_text`, `small_text`, and each
+// work's `title` and `role`) and every other language in a `translations` map next to them,
+// e.g. `translations: { en: { large_text: '...' } }`. An empty or missing translation falls back
+// to the Korean text, so actors saved before translations existed read the same in every
+// language. The English name has always had its own field, `english_name`, which is used as
+// the name in English. Work categories come from a fixed list with a label per language (see
+// works.js).
+//
+// The language of a request is `?lang=`, then the `lang` cookie set by the site's language
+// switcher (js/i18n.js), then the browser's Accept-Language.
+
+export const LANGUAGES = ['ko', 'en'];
+export const DEFAULT_LANGUAGE = 'ko';
+export const LANGUAGE_COOKIE = 'lang';
+
+export const TRANSLATED_FIELDS = ['large_text', 'small_text'];
+export const TRANSLATED_WORK_FIELDS = ['title', 'role'];
+
+const MAX_TEXT_LENGTH = 500;
+
+export function requestLanguage(request) {
+    const requested = new URL(request.url).searchParams.get('lang') || cookieLanguage(request);
+    if (LANGUAGES.includes(requested)) {
+        return requested;
+    }
+    return acceptedLanguage(request.headers.get('Accept-Language')) || DEFAULT_LANGUAGE;
+}
+
+// Headers for a response whose content depends on the request's language
+export function languageHeaders(lang) {
+    return { 'Content-Language': lang, 'Vary': 'Accept-Language, Cookie' };
+}
+
+// The actor as seen in `lang`: translated fields replace the Korean ones where they are filled in
+export function localizeActor(actor, lang) {
+    if (lang === DEFAULT_LANGUAGE) {
+        return actor;
+    }
+    const localized = translate(actor, lang, TRANSLATED_FIELDS);
+    if (lang === 'en' && actor.english_name) {
+        localized.name = actor.english_name;
+    }
+    localized.works = (actor.works || []).map(work => translate(work, lang, TRANSLATED_WORK_FIELDS));
+    return localized;
+}
+
+// Cleans up a `translations` map (see schema.js): known languages and fields only, trimmed
+// strings, empty entries dropped. Returns undefined when nothing is left, so the key isn't stored.
+export function normalizeTranslations(translations, fields) {
+    if (!translations || typeof translations !== 'object') {
+        return undefined;
+    }
+    const normalized = {};
+    for (const lang of LANGUAGES) {
+        if (lang === DEFAULT_LANGUAGE || !translations[lang] || typeof translations[lang] !== 'object') continue;
+        const entry = {};
+        for (const field of fields) {
+            const value = String(translations[lang][field] ?? '').trim().slice(0, MAX_TEXT_LENGTH);
+            if (value) entry[field] = value;
+        }
+        if (Object.keys(entry).length > 0) normalized[lang] = entry;
+    }
+    return Object.keys(normalized).length > 0 ? normalized : undefined;
+}
+
+function translate(record, lang, fields) {
+    const translation = (record.translations && record.translations[lang]) || {};
+    const translated = { ...record };
+    for (const field of fields) {
+        if (translation[field]) translated[field] = translation[field];
+    }
+    return translated;
+}
+
+function cookieLanguage(request) {
+    const header = request.headers.get('Cookie') || '';
+    const match = header.match(new RegExp(`(?:^|;\\s*)${LANGUAGE_COOKIE}=([^;]*)`));
+    return match ? match[1].trim() : null;
+}
+
+// The supported language the browser prefers most, e.g. "en-US,en;q=0.9,ko;q=0.8" -> "en"
+function acceptedLanguage(header) {
+    const ranked = String(header || '')
+        .split(',')
+        .map(part => {
+            const [tag, ...params] = part.trim().split(';');
+            const quality = params.map(param => param.trim()).find(param => param.startsWith('q='));
+            return { lang: tag.trim().toLowerCase().split('-')[0], q: quality ? Number(quality.slice(2)) : 1 };
+        })
+        .filter(entry => LANGUAGES.includes(entry.lang) && entry.q > 0)
+        .sort((a, b) => b.q - a.q);
+    return ranked.length > 0 ? ranked[0].lang : null;
+}
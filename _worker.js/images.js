@@ -0,0 +1,374 @@
+// Photo upload pipeline.
+//
+// Every uploaded photo is stored twice over:
+//   photos/<name>                   the original, with GPS/EXIF/XMP/IPTC metadata stripped
+//   photos/<name>@<size>.<format>   resized variants (see PHOTO_SIZES) as WebP and JPEG
+//
+// Variants are produced with the Cloudflare Images binding (`env.IMAGES`). When it isn't bound
+// (e.g. local development) only the original is stored and every size is served from it.
+
+export const PHOTO_SIZES = {
+    thumb: 320,
+    medium: 960,
+    full: 2048,
+};
+
+const VARIANT_FORMATS = {
+    webp: 'image/webp',
+    jpeg: 'image/jpeg',
+};
+
+const VARIANT_QUALITY = 82;
+
+export function variantKey(key, size, format) {
+    return `${key}@${size}.${format}`;
+}
+
+// All R2 keys belonging to one photo, for deleting it
+export function photoObjectKeys(key) {
+    const keys = [key];
+    for (const size of Object.keys(PHOTO_SIZES)) {
+        for (const format of Object.keys(VARIANT_FORMATS)) {
+            keys.push(variantKey(key, size, format));
+        }
+    }
+    return keys;
+}
+
+// Picks the variant format for a request: WebP when the browser advertises it, JPEG otherwise
+export function preferredFormat(request) {
+    return (request.headers.get('Accept') || '').includes('image/webp') ? 'webp' : 'jpeg';
+}
+
+// Stores the original and its variants. Returns the original's key plus every key written,
+// so the caller can roll the whole photo back if a later step fails.
+// `contentType` must be the sniffed type (see uploads.js), never the one the browser sent.
+export async function storePhoto(env, file, key, contentType) {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    const keys = [];
+
+    try {
+        await env.R2_BUCKET.put(key, stripMetadata(bytes, contentType), {
+            httpMetadata: { contentType },
+        });
+        keys.push(key);
+
+        if (env.IMAGES) {
+            for (const [size, width] of Object.entries(PHOTO_SIZES)) {
+                for (const [format, formatType] of Object.entries(VARIANT_FORMATS)) {
+                    // Variants are made from the unstripped bytes so EXIF orientation is applied;
+                    // the output itself carries no metadata
+                    const result = await env.IMAGES
+                        .input(new Blob([bytes]).stream())
+                        .transform({ width, fit: 'scale-down', metadata: 'none' })
+                        .output({ format: formatType, quality: VARIANT_QUALITY });
+                    const variant = variantKey(key, size, format);
+                    await env.R2_BUCKET.put(variant, result.response().body, {
+                        httpMetadata: { contentType: formatType },
+                    });
+                    keys.push(variant);
+                }
+            }
+        }
+    } catch (error) {
+        error.writtenKeys = keys;
+        throw error;
+    }
+
+    return { key, keys };
+}
+
+// Removes location and camera metadata from the image bytes. Unknown formats are returned as-is.
+export function stripMetadata(bytes, contentType) {
+    switch (contentType) {
+        case 'image/jpeg':
+            return stripJpegMetadata(bytes);
+        case 'image/png':
+            return stripPngMetadata(bytes);
+        case 'image/webp':
+            return stripWebpMetadata(bytes);
+        case 'image/gif':
+            return stripGifMetadata(bytes);
+        case 'image/avif':
+            return stripAvifMetadata(bytes);
+        default:
+            return bytes;
+    }
+}
+
+// JPEG: drop APP1 (EXIF/XMP), APP13 (IPTC) and comment segments. The EXIF orientation is kept
+// by replacing APP1 with a minimal EXIF block holding only that tag, so photos don't turn sideways.
+function stripJpegMetadata(bytes) {
+    if (bytes[0] !== 0xFF || bytes[1] !== 0xD8) return bytes;
+
+    const parts = [bytes.subarray(0, 2)];
+    let orientation = null;
+    let offset = 2;
+
+    while (offset + 4 <= bytes.length && bytes[offset] === 0xFF) {
+        const marker = bytes[offset + 1];
+        // Start of scan: the rest of the file is image data
+        if (marker === 0xDA) break;
+
+        const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+        const segment = bytes.subarray(offset, offset + 2 + length);
+
+        if (marker === 0xE1) {
+            orientation = orientation || readExifOrientation(segment.subarray(4));
+        } else if (marker !== 0xED && marker !== 0xFE) {
+            parts.push(segment);
+        }
+        offset += 2 + length;
+    }
+
+    if (orientation && orientation !== 1) {
+        parts.splice(1, 0, orientationSegment(orientation));
+    }
+    parts.push(bytes.subarray(offset));
+    return concatBytes(parts);
+}
+
+function readExifOrientation(data) {
+    // "Exif\0\0" followed by a TIFF header of at least 8 bytes
+    if (data.byteLength < 14 || String.fromCharCode(...data.subarray(0, 4)) !== 'Exif') return null;
+    const tiff = new DataView(data.buffer, data.byteOffset + 6, data.byteLength - 6);
+
+    const littleEndian = tiff.getUint16(0) === 0x4949;
+    const ifdOffset = tiff.getUint32(4, littleEndian);
+    if (ifdOffset + 2 > tiff.byteLength) return null;
+
+    const entries = tiff.getUint16(ifdOffset, littleEndian);
+    for (let i = 0; i < entries; i++) {
+        const entry = ifdOffset + 2 + i * 12;
+        if (entry + 12 > tiff.byteLength) return null;
+        if (tiff.getUint16(entry, littleEndian) === 0x0112) {
+            return tiff.getUint16(entry + 8, littleEndian);
+        }
+    }
+    return null;
+}
+
+function orientationSegment(orientation) {
+    const segment = new Uint8Array(36);
+    const view = new DataView(segment.buffer);
+    view.setUint16(0, 0xFFE1);
+    view.setUint16(2, 34);
+    segment.set([0x45, 0x78, 0x69, 0x66, 0, 0], 4); // "Exif\0\0"
+    segment.set([0x4D, 0x4D, 0x00, 0x2A], 10); // big-endian TIFF header
+    view.setUint32(14, 8); // IFD0 offset
+    view.setUint16(18, 1); // one entry
+    view.setUint16(20, 0x0112); // Orientation
+    view.setUint16(22, 3); // SHORT
+    view.setUint32(24, 1);
+    view.setUint16(28, orientation);
+    view.setUint32(32, 0); // no next IFD
+    return segment;
+}
+
+// PNG: drop the eXIf, text and timestamp chunks
+function stripPngMetadata(bytes) {
+    const dropped = ['eXIf', 'tEXt', 'zTXt', 'iTXt', 'tIME'];
+    const parts = [bytes.subarray(0, 8)];
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let offset = 8;
+
+    while (offset + 12 <= bytes.length) {
+        const length = view.getUint32(offset);
+        const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+        const chunk = bytes.subarray(offset, offset + 12 + length);
+        if (!dropped.includes(type)) parts.push(chunk);
+        offset += 12 + length;
+    }
+    return concatBytes(parts);
+}
+
+// WebP: drop the EXIF and XMP chunks and clear their flags in the VP8X header
+function stripWebpMetadata(bytes) {
+    if (String.fromCharCode(...bytes.subarray(8, 12)) !== 'WEBP') return bytes;
+
+    const parts = [];
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let offset = 12;
+
+    while (offset + 8 <= bytes.length) {
+        const type = String.fromCharCode(...bytes.subarray(offset, offset + 4));
+        const length = view.getUint32(offset + 4, true);
+        const chunk = bytes.slice(offset, offset + 8 + length + (length % 2));
+        if (type === 'VP8X') {
+            chunk[8] &= ~(0x08 | 0x04);
+        }
+        if (type !== 'EXIF' && type !== 'XMP ') parts.push(chunk);
+        offset += 8 + length + (length % 2);
+    }
+
+    const body = concatBytes(parts);
+    const header = new Uint8Array(12);
+    header.set(bytes.subarray(0, 12));
+    new DataView(header.buffer).setUint32(4, body.length + 4, true);
+    return concatBytes([header, body]);
+}
+
+// GIF: drop comment extensions and XMP application extensions; the others (animation loops,
+// frame timing) are kept
+function stripGifMetadata(bytes) {
+    if (bytes.length < 13) return bytes;
+
+    const parts = [];
+    let offset = 13;
+    if (bytes[10] & 0x80) {
+        offset += 3 * 2 ** ((bytes[10] & 0x07) + 1); // global color table
+    }
+    parts.push(bytes.subarray(0, offset));
+
+    while (offset < bytes.length) {
+        const start = offset;
+        if (bytes[offset] === 0x21) {
+            const label = bytes[offset + 1];
+            const application = String.fromCharCode(...bytes.subarray(offset + 3, offset + 14));
+            offset = skipGifSubBlocks(bytes, offset + 2);
+            if (label === 0xFE || (label === 0xFF && application === 'XMP DataXMP')) continue;
+        } else if (bytes[offset] === 0x2C) {
+            const packed = bytes[offset + 9];
+            offset += 10;
+            if (packed & 0x80) {
+                offset += 3 * 2 ** ((packed & 0x07) + 1); // local color table
+            }
+            offset = skipGifSubBlocks(bytes, offset + 1); // after the LZW code size
+        } else {
+            // The trailer, or bytes this doesn't understand: kept as they are
+            offset = bytes.length;
+        }
+        parts.push(bytes.subarray(start, offset));
+    }
+    return concatBytes(parts);
+}
+
+function skipGifSubBlocks(bytes, offset) {
+    while (offset < bytes.length && bytes[offset] !== 0) {
+        offset += bytes[offset] + 1;
+    }
+    return Math.min(offset + 1, bytes.length);
+}
+
+// AVIF: blank out the Exif and XMP items. Their bytes are overwritten with zeros where they lie,
+// since removing them would shift the offsets every other item is found by.
+function stripAvifMetadata(bytes) {
+    const meta = readBoxes(bytes, 0, bytes.length).find(box => box.type === 'meta');
+    if (!meta) return bytes;
+    const boxes = readBoxes(bytes, meta.start + 4, meta.end);
+    const iinf = boxes.find(box => box.type === 'iinf');
+    const iloc = boxes.find(box => box.type === 'iloc');
+    const idat = boxes.find(box => box.type === 'idat');
+    if (!iinf || !iloc) return bytes;
+
+    const items = avifMetadataItems(bytes, iinf);
+    if (items.size === 0) return bytes;
+    const result = bytes.slice();
+    for (const extent of avifItemExtents(bytes, iloc, idat)) {
+        if (items.has(extent.item)) {
+            result.fill(0, extent.start, Math.min(extent.end, result.length));
+        }
+    }
+    return result;
+}
+
+// The ISO-BMFF boxes between `start` and `end`, as { type, start, end } of their contents
+function readBoxes(bytes, start, end) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const boxes = [];
+    let offset = start;
+    while (offset + 8 <= end) {
+        let size = view.getUint32(offset);
+        let header = 8;
+        if (size === 1) {
+            if (offset + 16 > end) break;
+            size = Number(view.getBigUint64(offset + 8));
+            header = 16;
+        } else if (size === 0) {
+            size = end - offset;
+        }
+        if (size < header || offset + size > end) break;
+        boxes.push({ type: ascii(bytes, offset + 4, offset + 8), start: offset + header, end: offset + size });
+        offset += size;
+    }
+    return boxes;
+}
+
+// The ids of the items in `iinf` holding Exif or XMP
+function avifMetadataItems(bytes, iinf) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const items = new Set();
+    const entries = readBoxes(bytes, iinf.start + (bytes[iinf.start] === 0 ? 6 : 8), iinf.end);
+    for (const infe of entries.filter(box => box.type === 'infe')) {
+        const version = bytes[infe.start];
+        // Versions before 2 have no item type
+        if (version < 2 || infe.start + 13 > infe.end) continue;
+        const id = version === 2 ? view.getUint16(infe.start + 4) : view.getUint32(infe.start + 4);
+        let offset = infe.start + (version === 2 ? 8 : 10);
+        const type = ascii(bytes, offset, offset + 4);
+        offset = bytes.indexOf(0, offset + 4) + 1; // past the item name
+        const contentType = type === 'mime' && offset > 0 ? ascii(bytes, offset, Math.max(offset, bytes.indexOf(0, offset))) : '';
+        if (type === 'Exif' || contentType === 'application/rdf+xml') {
+            items.add(id);
+        }
+    }
+    return items;
+}
+
+// Where each item's data lies in the file, as { item, start, end } per extent
+function avifItemExtents(bytes, iloc, idat) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const version = bytes[iloc.start];
+    let offset = iloc.start + 4;
+    const read = size => {
+        if (offset + size > iloc.end) throw new RangeError('Truncated iloc box');
+        const value = size === 2 ? view.getUint16(offset)
+            : size === 4 ? view.getUint32(offset)
+                : size === 8 ? Number(view.getBigUint64(offset)) : 0;
+        offset += size;
+        return value;
+    };
+
+    const extents = [];
+    try {
+        const [offsetSize, lengthSize] = [bytes[offset] >> 4, bytes[offset] & 0x0F];
+        const [baseOffsetSize, indexSize] = [bytes[offset + 1] >> 4, version > 0 ? bytes[offset + 1] & 0x0F : 0];
+        offset += 2;
+        const count = read(version < 2 ? 2 : 4);
+        for (let i = 0; i < count; i++) {
+            const item = read(version < 2 ? 2 : 4);
+            const method = version > 0 ? read(2) & 0x0F : 0;
+            read(2); // data reference index
+            const base = read(baseOffsetSize);
+            const extentCount = read(2);
+            for (let j = 0; j < extentCount; j++) {
+                read(indexSize);
+                const start = base + read(offsetSize);
+                const length = read(lengthSize);
+                // Method 0 points into the file, 1 into the idat box; 2 refers to other items
+                const origin = method === 0 ? 0 : method === 1 && idat ? idat.start : null;
+                if (origin !== null) {
+                    extents.push({ item, start: origin + start, end: length ? origin + start + length : bytes.length });
+                }
+            }
+        }
+    } catch (error) {
+        if (!(error instanceof RangeError)) throw error;
+        // A truncated box: the extents read so far are all there is
+    }
+    return extents;
+}
+
+function ascii(bytes, start, end) {
+    return String.fromCharCode(...bytes.subarray(start, end));
+}
+
+function concatBytes(parts) {
+    const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        result.set(part, offset);
+        offset += part.length;
+    }
+    return result;
+}
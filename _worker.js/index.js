@@ -0,0 +1,1482 @@
+import {
+    SESSION_TTL_SECONDS,
+    createSessionToken,
+    getSession,
+    isAuthConfigured,
+    readCredentials,
+    sessionCookie,
+} from './auth.js';
+import {
+    ForbiddenError,
+    acceptInvite,
+    authenticate,
+    authorize,
+    can,
+    createUser,
+    deleteUser,
+    findSessionUser,
+    listUsers,
+    permissionsOf,
+    publicUser,
+    reinviteUser,
+    sessionGeneration,
+    updateUser,
+    validateUser,
+} from './users.js';
+import {
+    ConflictError,
+    NotFoundError,
+    createActor,
+    getActor,
+    listActors,
+    reorderActors,
+    restoreTrashedActor,
+    trashActor,
+    updateActor,
+} from './storage.js';
+import {
+    PHOTO_SIZES,
+    photoObjectKeys,
+    preferredFormat,
+    storePhoto,
+    variantKey,
+} from './images.js';
+import {
+    ALLOWED_IMAGE_TYPES,
+    UploadError,
+    checkRequestSize,
+    isFile,
+    newPhotoKey,
+    validatePhotoFields,
+} from './uploads.js';
+import { actorPhotoUrls, applyPhotoEdits, newPhoto, photoKey } from './photos.js';
+import {
+    actorSummary,
+    findActorByIdOrSlug,
+    galleryPage,
+    galleryPhotos,
+    hasMatchingWork,
+    publicProfile,
+    readWorkFilter,
+} from './profiles.js';
+import { feedResponse, renderPage, sitemapResponse } from './pages.js';
+import {
+    INQUIRY_FILTERS,
+    InquiryError,
+    checkRateLimit,
+    createInquiry,
+    isSpam,
+    listInquiries,
+    readInquiry,
+    getInquiry,
+    updateInquiry,
+    validateInquiry,
+} from './inquiries.js';
+import {
+    BackupError,
+    IMPORT_MODES,
+    createSnapshot,
+    exportArchive,
+    exportRoster,
+    getSnapshot,
+    importBackup,
+    listSnapshots,
+    readBackupRequest,
+} from './backups.js';
+import { languageHeaders, localizeActor, requestLanguage } from './i18n.js';
+import { ValidationError, formJson, readActorForm, readJsonObject, validateActor } from './schema.js';
+import { searchActors } from './search.js';
+import { workCategories } from './works.js';
+import { PHOTO_CACHE_CONTROL, bumpContentVersion, cachedActors, cachedJson, matchesEtag, parseRange } from './cache.js';
+import { AUDIT_ACTIONS, diffRecords, getAuditEntry, listAudit, recordAudit } from './audit.js';
+import { TRASH_RETENTION_DAYS, listTrash, purgeTrash, restoreTrashedPhoto, trashPhotos, trashVideos } from './trash.js';
+import { checkStorage, repairStorage } from './health.js';
+import { withSecurityHeaders } from './security.js';
+import {
+    createPost,
+    deletePost,
+    filterPosts,
+    findPostByIdOrSlug,
+    getPost,
+    isPublished,
+    listPosts,
+    postsPage,
+    postSummary,
+    publicPost,
+    publishedPostCount,
+    readPostForm,
+    updatePost,
+    validatePost,
+} from './posts.js';
+import {
+    STAGED_PART_BYTES,
+    cancelUpload,
+    clearUploads,
+    completeUpload,
+    expireUploads,
+    getUpload,
+    stagedPhotoUrls,
+    stagedVideoUrl,
+    startUpload,
+    uploadPart,
+} from './staging.js';
+import {
+    ALLOWED_VIDEO_TYPES,
+    MAX_VIDEO_REQUEST_BYTES,
+    actorVideoUrls,
+    applyVideoEdits,
+    newVideo,
+    readVideoForm,
+} from './videos.js';
+
+export default {
+    // Every response, API or page, leaves with the security headers (see security.js)
+    async fetch(request, env, ctx) {
+        return withSecurityHeaders(await handleRequest(request, env, ctx));
+    },
+
+    // Cron trigger (e.g. `crons = ["0 4 * * *"]` when deployed as a Worker): the upkeep an admin
+    // can also start by hand, emptying old trash and repairing storage
+    async scheduled(controller, env, ctx) {
+        ctx.waitUntil(runMaintenance(env));
+    },
+};
+
+// Changes made by the scheduled job are logged as this user
+const CRON_USER = 'cron';
+
+const ADMIN_PAGES = [
+    '/admin-artists.html', '/admin-artists',
+    '/admin-inbox.html', '/admin-inbox',
+    '/admin-backup.html', '/admin-backup',
+    '/admin-trash.html', '/admin-trash',
+    '/admin-users.html', '/admin-users',
+    '/admin-posts.html', '/admin-posts',
+];
+const PHOTO_FIELDS = ['main_photo', 'portfolio_photos'];
+
+async function handleRequest(request, env, ctx) {
+    const url = new URL(request.url);
+
+    // API routes; anything a route doesn't handle itself still comes back as a JSON error
+    if (url.pathname.startsWith('/api/')) {
+        const response = await handleApiRequest(request, env, ctx).catch(storageErrorResponse);
+        // Whatever an admin changed, the cached public listings are out of date now (photos
+        // staged for the editor aren't public until a save attaches them)
+        if (response.ok && request.method !== 'GET' && url.pathname.startsWith('/api/admin/')
+            && !url.pathname.startsWith('/api/admin/uploads')) {
+            await bumpContentVersion(env.R2_BUCKET);
+        }
+        return response;
+    }
+
+    // Admin pages are only served to a signed-in admin whose account still exists (as for the
+    // API below); everyone else is sent to the login screen
+    if (ADMIN_PAGES.includes(url.pathname)) {
+        const user = await findSessionUser(env, await getSession(request, env));
+        if (!user) {
+            const loginUrl = new URL('/admin-login.html', url);
+            loginUrl.searchParams.set('next', url.pathname);
+            return Response.redirect(loginUrl.toString(), 302);
+        }
+    }
+
+    if (url.pathname === '/sitemap.xml') {
+        return sitemapResponse(request, env, ctx);
+    }
+
+    if (url.pathname === '/feed.xml') {
+        return feedResponse(request, env, ctx);
+    }
+
+    // For other requests, serve static assets from Pages.
+    // This is the default behavior for Cloudflare Pages Functions.
+    // Public pages that list actors are rendered server-side on the way out.
+    const response = await env.ASSETS.fetch(request);
+    return renderPage(request, env, ctx, response);
+}
+
+async function handleApiRequest(request, env, ctx) {
+    const url = new URL(request.url);
+    const pathParts = url.pathname.replace('/api/', '').split('/');
+    const method = request.method;
+
+    // POST /api/auth/login - exchange admin credentials for a session cookie (and bearer token)
+    if (method === 'POST' && pathParts[0] === 'auth' && pathParts[1] === 'login') {
+        if (!isAuthConfigured(env)) {
+            return jsonResponse({ error: 'Admin login is not configured' }, 503);
+        }
+
+        let credentials;
+        try {
+            credentials = await readCredentials(request);
+        } catch (error) {
+            return jsonResponse({ error: 'Invalid login request' }, 400);
+        }
+
+        const user = await authenticate(env, credentials);
+        if (!user) {
+            return jsonResponse({ error: 'Invalid username or password' }, 401);
+        }
+        return signedInResponse(env, user);
+    }
+
+    // POST /api/auth/invite - accept an invitation: { token, password } sets the account's
+    // password and signs it in
+    if (method === 'POST' && pathParts[0] === 'auth' && pathParts[1] === 'invite') {
+        if (!isAuthConfigured(env)) {
+            return jsonResponse({ error: 'Admin login is not configured' }, 503);
+        }
+        const { token, password } = await readJsonObject(request);
+        const user = await acceptInvite(env.R2_BUCKET, token, password);
+        await recordAudit(env.R2_BUCKET, { user: user.username, action: 'user.update', changes: {}, details: { username: user.username, accepted_invite: true } });
+        return signedInResponse(env, user);
+    }
+
+    // POST /api/auth/logout - clear the session cookie
+    if (method === 'POST' && pathParts[0] === 'auth' && pathParts[1] === 'logout') {
+        return jsonResponse({ message: 'Logged out' }, 200, {
+            'Set-Cookie': sessionCookie('', 0),
+        });
+    }
+
+    // GET /api/auth/session - who is signed in, with their role and what it allows (see users.js)
+    if (method === 'GET' && pathParts[0] === 'auth' && pathParts[1] === 'session') {
+        const session = await getSession(request, env);
+        const user = await findSessionUser(env, session);
+        if (!user) {
+            return jsonResponse({ error: 'Not signed in' }, 401);
+        }
+        return jsonResponse({
+            username: user.username,
+            role: user.role,
+            actor_ids: user.actor_ids,
+            permissions: permissionsOf(user),
+            expires: session.exp * 1000,
+        });
+    }
+
+    // Every /api/admin/* route requires a valid session of an existing account; its user is
+    // recorded in the audit log and each route checks what their role allows
+    let session = null;
+    let user = null;
+    if (pathParts[0] === 'admin') {
+        session = await getSession(request, env);
+        user = await findSessionUser(env, session);
+        if (!user) {
+            return jsonResponse({ error: 'Authentication required' }, 401, {
+                'WWW-Authenticate': 'Bearer realm="admin"',
+            });
+        }
+    }
+
+    // Route for serving photos from R2; photo keys are never reused, so responses are immutable
+    // GET /api/photos/:key?size=thumb|medium|full (If-None-Match and Range are honoured)
+    if (pathParts[0] === 'photos' && pathParts[1]) {
+        const photoKey = `photos/${pathParts[1]}`;
+        const size = url.searchParams.get('size');
+        if (size && !PHOTO_SIZES[size]) {
+            return new Response(`Unknown size, expected one of: ${Object.keys(PHOTO_SIZES).join(', ')}`, { status: 400 });
+        }
+
+        // Serve the requested variant, falling back to the original for photos uploaded
+        // before variants existed (or when the Images binding isn't available)
+        let object = size
+            ? await env.R2_BUCKET.head(variantKey(photoKey, size, preferredFormat(request)))
+            : null;
+        if (object === null) {
+            object = await env.R2_BUCKET.head(photoKey);
+        }
+
+        if (object === null) {
+            return new Response('Object Not Found', { status: 404 });
+        }
+
+        const headers = new Headers();
+        object.writeHttpMetadata(headers);
+        headers.set('etag', object.httpEtag);
+        headers.set('Cache-Control', PHOTO_CACHE_CONTROL);
+        headers.set('Accept-Ranges', 'bytes');
+        headers.set('X-Content-Type-Options', 'nosniff');
+        // Objects stored before uploads were validated may carry any client-supplied type;
+        // never let the browser render those inline
+        if (!ALLOWED_IMAGE_TYPES.includes(headers.get('Content-Type'))) {
+            headers.set('Content-Type', 'application/octet-stream');
+            headers.set('Content-Disposition', 'attachment');
+        }
+        if (size) {
+            headers.set('Vary', 'Accept');
+        }
+        return storedObjectResponse(request, env, object, headers);
+    }
+
+    // GET /api/videos/:key - an uploaded video clip; streamed and seeked through Range requests,
+    // and immutable like photos
+    if (method === 'GET' && pathParts[0] === 'videos' && pathParts[1]) {
+        const object = await env.R2_BUCKET.head(`videos/${pathParts[1]}`);
+        if (object === null) {
+            return new Response('Object Not Found', { status: 404 });
+        }
+
+        const headers = new Headers();
+        object.writeHttpMetadata(headers);
+        headers.set('etag', object.httpEtag);
+        headers.set('Cache-Control', PHOTO_CACHE_CONTROL);
+        headers.set('Accept-Ranges', 'bytes');
+        headers.set('X-Content-Type-Options', 'nosniff');
+        if (!ALLOWED_VIDEO_TYPES.includes(headers.get('Content-Type'))) {
+            headers.set('Content-Type', 'application/octet-stream');
+            headers.set('Content-Disposition', 'attachment');
+        }
+        return storedObjectResponse(request, env, object, headers);
+    }
+
+    // GET /api/actors?lang=ko|en&category=&year_from=&year_to= - get all published actors for the
+    // main page, in carousel order; the filters keep those with a work of that category and years
+    if (method === 'GET' && pathParts[0] === 'actors' && !pathParts[1]) {
+        const lang = requestLanguage(request);
+        const filter = readWorkFilter(url.searchParams);
+        return cachedJson(request, env, ctx, lang, async () => {
+            const actors = await listVisibleActors(request, env, ctx, lang);
+            // Transform data for public consumption
+            const publicActors = actors.map(actorSummary)
+                .filter((summary, index) => !filter || hasMatchingWork(actors[index], filter));
+            return new Response(JSON.stringify(publicActors), {
+                headers: { 'Content-Type': 'application/json', ...languageHeaders(lang) },
+            });
+        });
+    }
+
+    // GET /api/actors/:idOrSlug?lang=ko|en - public profile with photos and filmography grouped by category
+    if (method === 'GET' && pathParts[0] === 'actors' && pathParts[1] && !pathParts[2]) {
+        const lang = requestLanguage(request);
+        return cachedJson(request, env, ctx, lang, async () => {
+            const actors = await listVisibleActors(request, env, ctx, lang);
+            const idOrSlug = decodePathPart(pathParts[1]);
+            const actor = idOrSlug !== null && findActorByIdOrSlug(actors, idOrSlug);
+            if (!actor) {
+                return jsonResponse({ error: 'Actor not found' }, 404);
+            }
+            return jsonResponse(publicProfile(actor, lang), 200, languageHeaders(lang));
+        });
+    }
+
+    // GET /api/search?q=&lang=ko|en&limit=&category=&year_from=&year_to= - published actors
+    // matching the query by name, intro or works, best match first, filtered like /api/actors;
+    // { query, results: [{ id, slug, name, ..., works }] }
+    if (method === 'GET' && pathParts[0] === 'search' && !pathParts[1]) {
+        const lang = requestLanguage(request);
+        const filter = readWorkFilter(url.searchParams);
+        return cachedJson(request, env, ctx, lang, async () => {
+            const query = (url.searchParams.get('q') || '').trim();
+            const actors = (await listVisibleActors(request, env, ctx))
+                .filter(actor => !filter || hasMatchingWork(actor, filter));
+            const results = searchActors(actors, query, { lang, limit: url.searchParams.get('limit') || undefined });
+            return jsonResponse({ query, results }, 200, languageHeaders(lang));
+        });
+    }
+
+    // GET /api/work-categories?lang=ko|en - the categories a work can have, in filmography order,
+    // for the admin's inputs and the public filters: [{ id, label, labels: { ko, en }, aliases }]
+    if (method === 'GET' && pathParts[0] === 'work-categories' && !pathParts[1]) {
+        const lang = requestLanguage(request);
+        return jsonResponse(workCategories(lang), 200, languageHeaders(lang));
+    }
+
+    // GET /api/posts?lang=ko|en&tag=&actor=<id or slug>&cursor=&limit= - a page of the blog,
+    // newest first: { posts, next_cursor }. Scheduled posts join the cache key once they are due.
+    if (method === 'GET' && pathParts[0] === 'posts' && !pathParts[1]) {
+        const lang = requestLanguage(request);
+        return cachedJson(request, env, ctx, `${lang}-${await publishedPostCount(env.R2_BUCKET)}`, async () => {
+            const [posts, actors] = await Promise.all([listVisiblePosts(request, env), listVisibleActors(request, env, ctx, lang)]);
+            let actorId;
+            const actorParam = url.searchParams.get('actor');
+            if (actorParam) {
+                const actor = findActorByIdOrSlug(actors, actorParam);
+                if (!actor) {
+                    return jsonResponse({ error: 'Actor not found' }, 404, languageHeaders(lang));
+                }
+                actorId = actor.id;
+            }
+            const page = postsPage(filterPosts(posts, { tag: url.searchParams.get('tag') || undefined, actorId }), {
+                cursor: url.searchParams.get('cursor') || undefined,
+                limit: url.searchParams.get('limit') || undefined,
+            });
+            return jsonResponse({
+                posts: page.posts.map(post => postSummary(post, actors)),
+                next_cursor: page.next_cursor,
+            }, 200, languageHeaders(lang));
+        });
+    }
+
+    // GET /api/posts/:idOrSlug?lang=ko|en - one published post, its body rendered as `html`
+    if (method === 'GET' && pathParts[0] === 'posts' && pathParts[1] && !pathParts[2]) {
+        const lang = requestLanguage(request);
+        return cachedJson(request, env, ctx, `${lang}-${await publishedPostCount(env.R2_BUCKET)}`, async () => {
+            const [posts, actors] = await Promise.all([listVisiblePosts(request, env), listVisibleActors(request, env, ctx, lang)]);
+            const idOrSlug = decodePathPart(pathParts[1]);
+            const post = idOrSlug !== null && findPostByIdOrSlug(posts, idOrSlug);
+            if (!post) {
+                return jsonResponse({ error: 'Post not found' }, 404);
+            }
+            return jsonResponse(publicPost(post, actors), 200, languageHeaders(lang));
+        });
+    }
+
+    // POST /api/inquiries - contact/casting form; `actor_id` optionally links it to an actor
+    if (method === 'POST' && pathParts[0] === 'inquiries' && !pathParts[1]) {
+        try {
+            const submission = await readInquiry(request);
+            // Bots that fill in the hidden honeypot field get the same answer but nothing is stored
+            if (isSpam(submission)) {
+                return jsonResponse({ message: 'Inquiry received' }, 201);
+            }
+            const inquiry = validateInquiry(submission);
+
+            let actor = null;
+            if (submission.actor_id) {
+                const linkedActor = await getActor(env.R2_BUCKET, String(submission.actor_id));
+                if (!linkedActor || linkedActor.status !== 'published') {
+                    throw new InquiryError(400, 'Unknown actor', { actor_id: 'Unknown actor' });
+                }
+                actor = { id: linkedActor.id, name: linkedActor.name };
+            }
+
+            const ip = request.headers.get('CF-Connecting-IP') || 'unknown';
+            await checkRateLimit(env.R2_BUCKET, ip, env.SESSION_SECRET);
+            await createInquiry(env.R2_BUCKET, inquiry, actor);
+            return jsonResponse({ message: 'Inquiry received' }, 201);
+        } catch (error) {
+            return storageErrorResponse(error);
+        }
+    }
+
+    // GET /api/admin/inquiries?filter=inbox|unread|archived|all&cursor= - the inbox, newest first
+    if (method === 'GET' && pathParts[0] === 'admin' && pathParts[1] === 'inquiries' && !pathParts[2]) {
+        authorize(user, 'inbox');
+        const filter = url.searchParams.get('filter') || 'inbox';
+        if (!INQUIRY_FILTERS.includes(filter)) {
+            return jsonResponse({ error: `Filter must be one of: ${INQUIRY_FILTERS.join(', ')}` }, 400);
+        }
+        const page = await listInquiries(env.R2_BUCKET, {
+            filter,
+            cursor: url.searchParams.get('cursor') || undefined,
+        });
+        return jsonResponse(page);
+    }
+
+    // PATCH /api/admin/inquiries/:id - body is { read, archived, reply_status } (all optional)
+    if (method === 'PATCH' && pathParts[0] === 'admin' && pathParts[1] === 'inquiries' && pathParts[2]) {
+        authorize(user, 'inbox');
+        try {
+            const changes = await readJsonObject(request);
+            const previous = await getInquiry(env.R2_BUCKET, pathParts[2]);
+            const inquiry = await updateInquiry(env.R2_BUCKET, pathParts[2], changes);
+            await recordAudit(env.R2_BUCKET, {
+                user: session.sub,
+                action: 'inquiry.update',
+                changes: diffRecords(inquiryFlags(previous), inquiryFlags(inquiry)),
+                details: { inquiry_id: inquiry.id, from: inquiry.name },
+            });
+            return jsonResponse(inquiry);
+        } catch (error) {
+            return storageErrorResponse(error);
+        }
+    }
+
+    // GET /api/admin/backup/export?photos=1 - download the roster as JSON, or as a zip with its photos
+    if (method === 'GET' && pathParts[0] === 'admin' && pathParts[1] === 'backup' && pathParts[2] === 'export') {
+        authorize(user, 'backups.export');
+        const filename = `roster-${new Date().toISOString().slice(0, 10)}`;
+        if (url.searchParams.get('photos') === '1') {
+            return new Response(await exportArchive(env.R2_BUCKET), {
+                headers: {
+                    'Content-Type': 'application/zip',
+                    'Content-Disposition': `attachment; filename="${filename}.zip"`,
+                },
+            });
+        }
+        return jsonResponse(await exportRoster(env.R2_BUCKET), 200, {
+            'Content-Disposition': `attachment; filename="${filename}.json"`,
+        });
+    }
+
+    // POST /api/admin/backup/import?mode=merge|replace&dry_run=1 - restore a JSON or zip backup
+    // sent as the body or as the `file` field of a form. Responds with a report of the changes.
+    if (method === 'POST' && pathParts[0] === 'admin' && pathParts[1] === 'backup' && pathParts[2] === 'import') {
+        authorize(user, 'backups.import');
+        try {
+            const mode = url.searchParams.get('mode') || 'merge';
+            if (!IMPORT_MODES.includes(mode)) {
+                return jsonResponse({ error: `Mode must be one of: ${IMPORT_MODES.join(', ')}` }, 400);
+            }
+            const backup = await readBackupRequest(request);
+            const report = await importBackup(env.R2_BUCKET, backup, {
+                mode,
+                dryRun: url.searchParams.get('dry_run') === '1',
+                user: session.sub,
+            });
+            if (report.valid && !report.dry_run) {
+                await recordAudit(env.R2_BUCKET, { user: session.sub, action: 'roster.import', changes: {}, details: importSummary(report) });
+            }
+            return jsonResponse(report, report.valid ? 200 : 422);
+        } catch (error) {
+            return storageErrorResponse(error);
+        }
+    }
+
+    // GET /api/admin/backup/snapshots - automatic snapshots taken before each write, newest first
+    if (method === 'GET' && pathParts[0] === 'admin' && pathParts[1] === 'backup' && pathParts[2] === 'snapshots' && !pathParts[3]) {
+        authorize(user, 'backups.export');
+        return jsonResponse(await listSnapshots(env.R2_BUCKET));
+    }
+
+    // GET /api/admin/backup/snapshots/:id - download one snapshot
+    if (method === 'GET' && pathParts[0] === 'admin' && pathParts[1] === 'backup' && pathParts[2] === 'snapshots' && pathParts[3]) {
+        authorize(user, 'backups.export');
+        const snapshot = await getSnapshot(env.R2_BUCKET, pathParts[3]);
+        if (!snapshot) {
+            return jsonResponse({ error: 'Snapshot not found' }, 404);
+        }
+        return jsonResponse(snapshot, 200, {
+            'Content-Disposition': `attachment; filename="snapshot-${pathParts[3]}.json"`,
+        });
+    }
+
+    // POST /api/admin/backup/snapshots/:id/restore?dry_run=1 - roll the roster back to a snapshot
+    if (method === 'POST' && pathParts[0] === 'admin' && pathParts[1] === 'backup' && pathParts[2] === 'snapshots' && pathParts[4] === 'restore') {
+        authorize(user, 'backups.import');
+        try {
+            const snapshot = await getSnapshot(env.R2_BUCKET, pathParts[3]);
+            if (!snapshot) {
+                return jsonResponse({ error: 'Snapshot not found' }, 404);
+            }
+            const report = await importBackup(env.R2_BUCKET, { roster: snapshot, photos: new Map() }, {
+                mode: 'replace',
+                dryRun: url.searchParams.get('dry_run') === '1',
+                reason: `restore snapshot ${pathParts[3]}`,
+                user: session.sub,
+            });
+            if (report.valid && !report.dry_run) {
+                await recordAudit(env.R2_BUCKET, {
+                    user: session.sub,
+                    action: 'roster.restore',
+                    changes: {},
+                    details: { snapshot_id: pathParts[3], ...importSummary(report) },
+                });
+            }
+            return jsonResponse(report, report.valid ? 200 : 422);
+        } catch (error) {
+            return storageErrorResponse(error);
+        }
+    }
+
+    // GET /api/admin/audit?actor_id=&action=&user=&since=&until=&cursor=&limit= - change history, newest first
+    if (method === 'GET' && pathParts[0] === 'admin' && pathParts[1] === 'audit' && !pathParts[2]) {
+        // A manager only sees the history of one of their actors at a time
+        authorize(user, 'audit', url.searchParams.get('actor_id') || null);
+        const filters = Object.fromEntries(url.searchParams);
+        if (filters.action && !AUDIT_ACTIONS.includes(filters.action)) {
+            return jsonResponse({ error: `Action must be one of: ${AUDIT_ACTIONS.join(', ')}` }, 400);
+        }
+        for (const field of ['since', 'until']) {
+            if (filters[field] && Number.isNaN(Date.parse(filters[field]))) {
+                return jsonResponse({ error: `${field} must be a date` }, 400);
+            }
+        }
+        const page = await listAudit(env.R2_BUCKET, {
+            actorId: filters.actor_id,
+            action: filters.action,
+            user: filters.user,
+            since: filters.since,
+            until: filters.until,
+            cursor: filters.cursor,
+            limit: filters.limit,
+        });
+        return jsonResponse(page);
+    }
+
+    // POST /api/admin/audit/:id/restore - put an actor back the way it was before (or after) a
+    // logged change; body is { state: 'before' | 'after' }, defaulting to 'before'
+    if (method === 'POST' && pathParts[0] === 'admin' && pathParts[1] === 'audit' && pathParts[2] && pathParts[3] === 'restore') {
+        try {
+            const entry = await getAuditEntry(env.R2_BUCKET, pathParts[2]);
+            if (!entry) {
+                return jsonResponse({ error: 'Audit entry not found' }, 404);
+            }
+            // A change that isn't about one actor (an import, an account) is only for those who
+            // may edit every actor
+            authorize(user, 'audit', entry.actor_id || null);
+            authorize(user, 'actors.edit', entry.actor_id || null);
+            let body;
+            try {
+                body = await request.json();
+            } catch (error) {
+                body = {};
+            }
+            const state = body.state === 'after' ? 'after' : 'before';
+            if (!entry[state]) {
+                return jsonResponse({ error: `This change has no actor version ${state} it to restore` }, 400);
+            }
+
+            // Photos deleted since that version can't come back; they are left out and reported
+            const { record, missingPhotos } = await withStoredPhotos(env, entry[state]);
+            await createSnapshot(env.R2_BUCKET, `restore actor ${record.id}`);
+            const current = await getActor(env.R2_BUCKET, record.id);
+            // The current version's photos stay in storage, so the restore can itself be undone
+            const restored = current
+                ? await updateActor(env.R2_BUCKET, record.id, () => record)
+                : await createActor(env.R2_BUCKET, record);
+
+            await recordAudit(env.R2_BUCKET, {
+                user: session.sub,
+                action: 'actor.restore',
+                before: current,
+                after: restored,
+                details: { audit_id: entry.id, state, missing_photos: missingPhotos },
+            });
+            return jsonResponse({ actor: restored, missing_photos: missingPhotos });
+        } catch (error) {
+            return storageErrorResponse(error);
+        }
+    }
+
+    // GET /api/admin/trash - deleted actors and photos, most recently deleted first
+    if (method === 'GET' && pathParts[0] === 'admin' && pathParts[1] === 'trash' && !pathParts[2]) {
+        authorize(user, 'trash');
+        const trash = await listTrash(env.R2_BUCKET);
+        return jsonResponse({ ...trash, retention_days: TRASH_RETENTION_DAYS });
+    }
+
+    // POST /api/admin/trash/actors/:id/restore - put a deleted actor back where they were
+    if (method === 'POST' && pathParts[0] === 'admin' && pathParts[1] === 'trash' && pathParts[2] === 'actors' && pathParts[4] === 'restore') {
+        authorize(user, 'trash');
+        try {
+            await createSnapshot(env.R2_BUCKET, `restore actor ${pathParts[3]} from trash`);
+            const actor = await restoreTrashedActor(env.R2_BUCKET, pathParts[3]);
+            await recordAudit(env.R2_BUCKET, { user: session.sub, action: 'trash.restore', after: actor });
+            return jsonResponse(actor);
+        } catch (error) {
+            return storageErrorResponse(error);
+        }
+    }
+
+    // POST /api/admin/trash/photos/:id/restore - give a deleted photo or video back to its actor
+    if (method === 'POST' && pathParts[0] === 'admin' && pathParts[1] === 'trash' && pathParts[2] === 'photos' && pathParts[4] === 'restore') {
+        authorize(user, 'trash');
+        try {
+            const { previous, actor } = await restoreTrashedPhoto(env.R2_BUCKET, pathParts[3]);
+            await recordAudit(env.R2_BUCKET, { user: session.sub, action: 'trash.restore', before: previous, after: actor });
+            return jsonResponse(actor);
+        } catch (error) {
+            return storageErrorResponse(error);
+        }
+    }
+
+    // DELETE /api/admin/trash/actors/:id, DELETE /api/admin/trash/photos/:id - delete one item for good
+    if (method === 'DELETE' && pathParts[0] === 'admin' && pathParts[1] === 'trash' && ['actors', 'photos'].includes(pathParts[2]) && pathParts[3]) {
+        authorize(user, 'trash.purge');
+        const ids = [pathParts[3]];
+        const purged = await purgeTrash(env.R2_BUCKET, pathParts[2] === 'actors' ? { actorIds: ids } : { photoIds: ids });
+        if (purged.actors.length === 0 && purged.photos === 0) {
+            return jsonResponse({ error: 'Not in the trash' }, 404);
+        }
+        await recordAudit(env.R2_BUCKET, { user: session.sub, action: 'trash.purge', changes: {}, details: purged });
+        return jsonResponse(purged);
+    }
+
+    // POST /api/admin/trash/purge - permanently delete everything that has been in the trash
+    // longer than { older_than_days } (default TRASH_RETENTION_DAYS; 0 empties the trash)
+    if (method === 'POST' && pathParts[0] === 'admin' && pathParts[1] === 'trash' && pathParts[2] === 'purge') {
+        authorize(user, 'trash.purge');
+        let body;
+        try {
+            body = await request.json();
+        } catch (error) {
+            body = {};
+        }
+        const olderThanDays = body.older_than_days ?? TRASH_RETENTION_DAYS;
+        if (typeof olderThanDays !== 'number' || olderThanDays < 0) {
+            return jsonResponse({ error: 'older_than_days must be a number of days' }, 400);
+        }
+        const purged = await purgeTrash(env.R2_BUCKET, { olderThanDays });
+        if (purged.actors.length > 0 || purged.photos > 0) {
+            await recordAudit(env.R2_BUCKET, {
+                user: session.sub,
+                action: 'trash.purge',
+                changes: {},
+                details: { older_than_days: olderThanDays, ...purged },
+            });
+        }
+        return jsonResponse(purged);
+    }
+
+    // GET /api/admin/storage/health - objects nothing references, references to objects that are
+    // gone, and how much is stored (see health.js)
+    if (method === 'GET' && pathParts[0] === 'admin' && pathParts[1] === 'storage' && pathParts[2] === 'health') {
+        authorize(user, 'storage');
+        return jsonResponse(await checkStorage(env.R2_BUCKET));
+    }
+
+    // POST /api/admin/storage/repair - delete the orphans and drop the dangling references
+    if (method === 'POST' && pathParts[0] === 'admin' && pathParts[1] === 'storage' && pathParts[2] === 'repair') {
+        authorize(user, 'storage');
+        return jsonResponse(await repairStorage(env.R2_BUCKET, { user: session.sub }));
+    }
+
+    // GET /api/admin/users - every admin account, without password hashes or invite secrets
+    if (method === 'GET' && pathParts[0] === 'admin' && pathParts[1] === 'users' && !pathParts[2]) {
+        authorize(user, 'users');
+        return jsonResponse((await listUsers(env)).map(publicUser));
+    }
+
+    // POST /api/admin/users - invite an account: { username, role, actor_ids }. Returns the
+    // account and the one-time link the invitee uses to choose a password.
+    if (method === 'POST' && pathParts[0] === 'admin' && pathParts[1] === 'users' && !pathParts[2]) {
+        authorize(user, 'users');
+        const values = await readJsonObject(request);
+        await checkActorIds(env, values.actor_ids);
+        const { user: created, token } = await createUser(env, values);
+        await recordAudit(env.R2_BUCKET, {
+            user: session.sub,
+            action: 'user.create',
+            changes: {},
+            details: { username: created.username, role: created.role, actor_ids: created.actor_ids },
+        });
+        return jsonResponse({ user: publicUser(created), invite_url: inviteUrl(request, token) }, 201);
+    }
+
+    // PATCH /api/admin/users/:username - change an account's role and assigned actors. Nobody
+    // changes their own role, and the built-in owner can't be changed at all.
+    if (method === 'PATCH' && pathParts[0] === 'admin' && pathParts[1] === 'users' && pathParts[2] && !pathParts[3]) {
+        authorize(user, 'users');
+        const username = pathParts[2];
+        if (username === env.ADMIN_USERNAME || username === session.sub) {
+            throw new ForbiddenError('This account cannot be changed here');
+        }
+        const values = validateUser(await readJsonObject(request), { partial: true });
+        delete values.username;
+        await checkActorIds(env, values.actor_ids);
+        let before = null;
+        const updated = await updateUser(env.R2_BUCKET, username, stored => {
+            before = stored;
+            return { ...stored, ...values };
+        });
+        await recordAudit(env.R2_BUCKET, {
+            user: session.sub,
+            action: 'user.update',
+            changes: {},
+            details: { username, role: [before.role, updated.role], actor_ids: [before.actor_ids, updated.actor_ids] },
+        });
+        return jsonResponse(publicUser(updated));
+    }
+
+    // POST /api/admin/users/:username/invite - a new invite link; it also resets the password,
+    // signing the account out everywhere until the link is used
+    if (method === 'POST' && pathParts[0] === 'admin' && pathParts[1] === 'users' && pathParts[2] && pathParts[3] === 'invite') {
+        authorize(user, 'users');
+        const username = pathParts[2];
+        if (username === env.ADMIN_USERNAME) {
+            throw new ForbiddenError('This account cannot be changed here');
+        }
+        const { user: updated, token } = await reinviteUser(env.R2_BUCKET, username);
+        await recordAudit(env.R2_BUCKET, { user: session.sub, action: 'user.update', changes: {}, details: { username, invited: true } });
+        return jsonResponse({ user: publicUser(updated), invite_url: inviteUrl(request, token) });
+    }
+
+    // DELETE /api/admin/users/:username - remove an account; its sessions stop working at once
+    if (method === 'DELETE' && pathParts[0] === 'admin' && pathParts[1] === 'users' && pathParts[2] && !pathParts[3]) {
+        authorize(user, 'users');
+        const username = pathParts[2];
+        if (username === env.ADMIN_USERNAME || username === session.sub) {
+            throw new ForbiddenError('This account cannot be deleted');
+        }
+        const deleted = await deleteUser(env.R2_BUCKET, username);
+        await recordAudit(env.R2_BUCKET, {
+            user: session.sub,
+            action: 'user.delete',
+            changes: {},
+            details: { username, role: deleted.role, actor_ids: deleted.actor_ids },
+        });
+        return jsonResponse({ message: 'User deleted' });
+    }
+
+    // GET /api/admin/posts - every blog post, drafts and scheduled ones included, newest first
+    if (method === 'GET' && pathParts[0] === 'admin' && pathParts[1] === 'posts' && !pathParts[2]) {
+        authorize(user, 'posts');
+        return jsonResponse(await listPosts(env.R2_BUCKET));
+    }
+
+    // GET /api/admin/posts/:id - one post for the editor
+    if (method === 'GET' && pathParts[0] === 'admin' && pathParts[1] === 'posts' && pathParts[2] && !pathParts[3]) {
+        authorize(user, 'posts');
+        const post = await getPost(env.R2_BUCKET, pathParts[2]);
+        if (!post) {
+            return jsonResponse({ error: 'Post not found' }, 404);
+        }
+        return jsonResponse(post);
+    }
+
+    // POST /api/admin/posts - Write a post (multipart): the fields of POST_SCHEMA (`tags` and
+    // `actor_ids` JSON-encoded) and an optional `cover` photo
+    if (method === 'POST' && pathParts[0] === 'admin' && pathParts[1] === 'posts' && !pathParts[2]) {
+        authorize(user, 'posts');
+        const uploadedKeys = [];
+        try {
+            checkRequestSize(request);
+            const formData = await request.formData();
+            const fields = validatePost(readPostForm(formData));
+            await checkActorIds(env, fields.actor_ids);
+            const photoTypes = await validatePhotoFields(formData, ['cover']);
+
+            const cover = await uploadPhoto(env, formData.get('cover'), photoTypes, uploadedKeys);
+            const post = await createPost(env.R2_BUCKET, { id: crypto.randomUUID(), ...fields, cover, author: session.sub });
+
+            await recordAudit(env.R2_BUCKET, { user: session.sub, action: 'post.create', changes: diffRecords(null, post), details: postDetails(post) });
+            return jsonResponse(post, 201);
+        } catch (error) {
+            await deletePhotoKeys(env, uploadedKeys);
+            return storageErrorResponse(error);
+        }
+    }
+
+    // PUT /api/admin/posts/:id - Save the post editor (multipart); only the fields sent change. A
+    // new `cover` replaces the old one and `remove_cover=1` removes it; `version` (or If-Match)
+    // is the version the editor loaded.
+    if (method === 'PUT' && pathParts[0] === 'admin' && pathParts[1] === 'posts' && pathParts[2] && !pathParts[3]) {
+        authorize(user, 'posts');
+        const uploadedKeys = [];
+        try {
+            checkRequestSize(request);
+            const formData = await request.formData();
+            const changes = validatePost(readPostForm(formData), { partial: true });
+            await checkActorIds(env, changes.actor_ids);
+            const photoTypes = await validatePhotoFields(formData, ['cover']);
+            const version = formData.get('version') || unquoteEtag(request.headers.get('If-Match'));
+
+            const cover = await uploadPhoto(env, formData.get('cover'), photoTypes, uploadedKeys);
+            let previousPost = null;
+            const updatedPost = await updatePost(env.R2_BUCKET, pathParts[2], post => {
+                previousPost = structuredClone(post);
+                Object.assign(post, changes);
+                if (cover) {
+                    post.cover = cover;
+                } else if (formData.get('remove_cover') === '1') {
+                    post.cover = null;
+                }
+                return post;
+            }, { version });
+
+            await recordAudit(env.R2_BUCKET, {
+                user: session.sub,
+                action: 'post.update',
+                changes: diffRecords(previousPost, updatedPost),
+                details: postDetails(updatedPost),
+            });
+
+            // A cover is only ever used by its post
+            if (previousPost.cover && previousPost.cover !== updatedPost.cover) {
+                await deletePhotoKeys(env, photoObjectKeys(photoKey(previousPost.cover)));
+            }
+            return jsonResponse(updatedPost);
+        } catch (error) {
+            await deletePhotoKeys(env, uploadedKeys);
+            return storageErrorResponse(error);
+        }
+    }
+
+    // DELETE /api/admin/posts/:id - Delete a post and its cover for good
+    if (method === 'DELETE' && pathParts[0] === 'admin' && pathParts[1] === 'posts' && pathParts[2] && !pathParts[3]) {
+        authorize(user, 'posts.delete');
+        try {
+            const deletedPost = await deletePost(env.R2_BUCKET, pathParts[2], {
+                version: unquoteEtag(request.headers.get('If-Match')),
+            });
+            if (deletedPost.cover) {
+                await deletePhotoKeys(env, photoObjectKeys(photoKey(deletedPost.cover)));
+            }
+            await recordAudit(env.R2_BUCKET, {
+                user: session.sub,
+                action: 'post.delete',
+                changes: diffRecords(deletedPost, null),
+                details: postDetails(deletedPost),
+            });
+            return jsonResponse({ message: 'Post deleted' });
+        } catch (error) {
+            return storageErrorResponse(error);
+        }
+    }
+
+    // POST /api/admin/uploads - Start uploading one portfolio photo, or with `kind: 'video'` a
+    // video clip, ahead of saving it (see staging.js): { actor_id, name, size, kind }, without
+    // actor_id for an actor not saved yet. Returns { id, part_size, parts, url, ... }.
+    if (method === 'POST' && pathParts[0] === 'admin' && pathParts[1] === 'uploads' && !pathParts[2]) {
+        try {
+            const { actor_id: actorId = null, name, size, kind } = await readJsonObject(request);
+            if (actorId === null) {
+                authorize(user, 'actors.create');
+            } else {
+                authorize(user, 'actors.edit', actorId);
+                if (!await getActor(env.R2_BUCKET, actorId)) {
+                    return jsonResponse({ error: 'Actor not found' }, 404);
+                }
+            }
+            const upload = await startUpload(env.R2_BUCKET, { user: session.sub, actorId, name, size, kind });
+            return jsonResponse(upload, 201);
+        } catch (error) {
+            return storageErrorResponse(error);
+        }
+    }
+
+    // GET /api/admin/uploads/:id - an upload of yours, with the parts stored so far. This and
+    // the routes below need the same permission as starting it, still held for its actor.
+    if (method === 'GET' && pathParts[0] === 'admin' && pathParts[1] === 'uploads' && pathParts[2] && !pathParts[3]) {
+        try {
+            return jsonResponse(await authorizeUpload(env, user, pathParts[2]));
+        } catch (error) {
+            return storageErrorResponse(error);
+        }
+    }
+
+    // PUT /api/admin/uploads/:id/parts/:number - One part of the file as the raw body: part_size
+    // bytes, fewer for the last. Sending a part again replaces it.
+    if (method === 'PUT' && pathParts[0] === 'admin' && pathParts[1] === 'uploads' && pathParts[2] && pathParts[3] === 'parts' && pathParts[4]) {
+        try {
+            checkRequestSize(request, STAGED_PART_BYTES);
+            await authorizeUpload(env, user, pathParts[2]);
+            const body = await request.arrayBuffer();
+            return jsonResponse(await uploadPart(env.R2_BUCKET, pathParts[2], session.sub, pathParts[4], body));
+        } catch (error) {
+            return storageErrorResponse(error);
+        }
+    }
+
+    // POST /api/admin/uploads/:id/complete - Store the uploaded file as a photo; the upload's
+    // `url` is set, and saving the editor with its id in `portfolio_uploads` attaches it
+    if (method === 'POST' && pathParts[0] === 'admin' && pathParts[1] === 'uploads' && pathParts[2] && pathParts[3] === 'complete') {
+        try {
+            await authorizeUpload(env, user, pathParts[2]);
+            return jsonResponse(await completeUpload(env, pathParts[2], session.sub));
+        } catch (error) {
+            return storageErrorResponse(error);
+        }
+    }
+
+    // DELETE /api/admin/uploads/:id - Give up on an upload that hasn't been attached
+    if (method === 'DELETE' && pathParts[0] === 'admin' && pathParts[1] === 'uploads' && pathParts[2] && !pathParts[3]) {
+        try {
+            await authorizeUpload(env, user, pathParts[2]);
+            await cancelUpload(env.R2_BUCKET, pathParts[2], session.sub);
+            return jsonResponse({ message: 'Upload cancelled' });
+        } catch (error) {
+            return storageErrorResponse(error);
+        }
+    }
+
+    // GET /api/admin/actors/:id - one actor's full record for the editor
+    if (method === 'GET' && pathParts[0] === 'admin' && pathParts[1] === 'actors' && pathParts[2] && !pathParts[3]) {
+        authorize(user, 'actors.edit', pathParts[2]);
+        const actor = await getActor(env.R2_BUCKET, pathParts[2]);
+        if (!actor) {
+            return jsonResponse({ error: 'Actor not found' }, 404);
+        }
+        return jsonResponse(actor);
+    }
+
+    // GET /api/admin/actors - get full actor details for admin page (a manager's own actors only)
+    if (method === 'GET' && pathParts[0] === 'admin' && pathParts[1] === 'actors' && !pathParts[2]) {
+        const actors = (await listActors(env.R2_BUCKET)).filter(actor => can(user, 'actors.edit', actor.id));
+        return new Response(JSON.stringify(actors), {
+            headers: { 'Content-Type': 'application/json' },
+        });
+    }
+
+    // GET /api/all-photos?lang=ko|en&actor=<id or slug>&cursor=&limit= - a page of the portfolio
+    // gallery: { photos, next_cursor }, from all published actors or only the one asked for
+    if (method === 'GET' && pathParts[0] === 'all-photos' && !pathParts[1]) {
+        const lang = requestLanguage(request);
+        return cachedJson(request, env, ctx, lang, async () => {
+            let actors = await listVisibleActors(request, env, ctx, lang);
+            const actorParam = url.searchParams.get('actor');
+            if (actorParam) {
+                const actor = findActorByIdOrSlug(actors, actorParam);
+                if (!actor) {
+                    return jsonResponse({ error: 'Actor not found' }, 404, languageHeaders(lang));
+                }
+                actors = [actor];
+            }
+            const page = galleryPage(galleryPhotos(actors), {
+                cursor: url.searchParams.get('cursor') || undefined,
+                limit: url.searchParams.get('limit') || undefined,
+            });
+            return jsonResponse(page, 200, languageHeaders(lang));
+        });
+    }
+    
+    // PUT /api/admin/actors/order - Set the carousel order; body is { ids: [...] }
+    if (method === 'PUT' && pathParts[0] === 'admin' && pathParts[1] === 'actors' && pathParts[2] === 'order') {
+        authorize(user, 'actors.reorder');
+        try {
+            const { ids } = await readJsonObject(request);
+            if (!Array.isArray(ids)) {
+                return jsonResponse({ error: 'Expected { ids: [...] }', fields: { ids: 'Must be a list' } }, 400);
+            }
+            await createSnapshot(env.R2_BUCKET, 'reorder actors');
+            const previousOrder = (await listActors(env.R2_BUCKET)).map(actor => actor.name);
+            const actors = await reorderActors(env.R2_BUCKET, ids.map(String));
+            await recordAudit(env.R2_BUCKET, {
+                user: session.sub,
+                action: 'actors.reorder',
+                changes: diffRecords({ order: previousOrder }, { order: actors.map(actor => actor.name) }),
+            });
+            return jsonResponse(actors);
+        } catch (error) {
+            return storageErrorResponse(error);
+        }
+    }
+
+    // POST /api/admin/actors - Add a new actor. Portfolio photos come as `portfolio_photos` files
+    // or, uploaded beforehand, as the JSON list of upload ids `portfolio_uploads`.
+    if (method === 'POST' && pathParts[0] === 'admin' && pathParts[1] === 'actors' && !pathParts[2]) {
+        authorize(user, 'actors.create');
+        const uploadedKeys = [];
+        try {
+            checkRequestSize(request);
+            const formData = await request.formData();
+            const fields = validateActor(readActorForm(formData));
+            const photoTypes = await validatePhotoFields(formData, PHOTO_FIELDS);
+            const uploadIds = formJson(formData, 'portfolio_uploads', []);
+            const stagedUrls = await stagedPhotoUrls(env.R2_BUCKET, uploadIds, { user: session.sub });
+
+            const mainPhotoFile = formData.get('main_photo');
+            const portfolioPhotoFiles = formData.getAll('portfolio_photos');
+
+            const mainPhotoUrl = await uploadPhoto(env, mainPhotoFile, photoTypes, uploadedKeys);
+            const portfolioPhotoUrls = await uploadPhotos(env, portfolioPhotoFiles, photoTypes, uploadedKeys);
+
+            await createSnapshot(env.R2_BUCKET, `create actor ${fields.name}`);
+            const newActor = await createActor(env.R2_BUCKET, {
+                id: crypto.randomUUID(),
+                ...fields,
+                main_photo: mainPhotoUrl,
+                photos: [...portfolioPhotoUrls.filter(url => url !== null), ...stagedUrls].map(newPhoto),
+                videos: [],
+            });
+
+            await recordAudit(env.R2_BUCKET, { user: session.sub, action: 'actor.create', after: newActor });
+            await clearUploads(env.R2_BUCKET, uploadIds);
+
+            return new Response(JSON.stringify(newActor), { status: 201 });
+
+        } catch (error) {
+            // Don't leave photos behind that no actor points at
+            await deletePhotoKeys(env, uploadedKeys);
+            return storageErrorResponse(error);
+        }
+    }
+
+    // PUT /api/admin/actors/:id - Save the actor editor (multipart); only the fields sent change,
+    // and an empty one is cleared. New photos are added as for POST.
+    if (method === 'PUT' && pathParts[0] === 'admin' && pathParts[1] === 'actors' && pathParts[2]) {
+        authorize(user, 'actors.edit', pathParts[2]);
+        const uploadedKeys = [];
+        try {
+            const actorId = pathParts[2];
+            checkRequestSize(request);
+            const formData = await request.formData();
+            const changes = validateActor(readActorForm(formData), { partial: true });
+            // Ordered list of { url, caption, credit, alt, tags } for the photos being kept
+            const photoEdits = formJson(formData, 'photos', []);
+            const photosToDelete = formJson(formData, 'photos_to_delete', []);
+            // Ordered list of { id, title } for the videos being kept
+            const videoEdits = formJson(formData, 'videos', []);
+            const videosToDelete = formJson(formData, 'videos_to_delete', []);
+            const photoTypes = await validatePhotoFields(formData, PHOTO_FIELDS);
+            const uploadIds = formJson(formData, 'portfolio_uploads', []);
+            const stagedUrls = await stagedPhotoUrls(env.R2_BUCKET, uploadIds, { user: session.sub, actorId });
+            const version = formData.get('version') || unquoteEtag(request.headers.get('If-Match'));
+
+            // Upload first, then commit the record; uploads are rolled back if the commit fails
+            const mainPhotoUrl = await uploadPhoto(env, formData.get('main_photo'), photoTypes, uploadedKeys);
+            const newPhotoUrls = await uploadPhotos(env, formData.getAll('portfolio_photos'), photoTypes, uploadedKeys);
+            const promotedMainPhoto = formData.get('main_photo_url');
+            let previousActor = null;
+
+            await createSnapshot(env.R2_BUCKET, `update actor ${actorId}`);
+            const updatedActor = await updateActor(env.R2_BUCKET, actorId, existingActor => {
+                previousActor = structuredClone(existingActor);
+
+                // Fields the form sent replace the stored ones. Translations come whole; one left
+                // empty falls back to the Korean text.
+                Object.assign(existingActor, changes);
+
+                // Reorder and caption the photos being kept, then append the new uploads
+                const keptPhotos = existingActor.photos.filter(p => !photosToDelete.includes(p.url));
+                existingActor.photos = [
+                    ...applyPhotoEdits(keptPhotos, photoEdits),
+                    ...[...newPhotoUrls.filter(url => url), ...stagedUrls].map(newPhoto),
+                ];
+                existingActor.videos = applyVideoEdits(
+                    existingActor.videos.filter(video => !videosToDelete.includes(video.id)),
+                    videoEdits,
+                );
+
+                // A new upload wins; otherwise an existing portfolio photo can be promoted to main photo
+                if (mainPhotoUrl) {
+                    existingActor.main_photo = mainPhotoUrl;
+                } else if (promotedMainPhoto && existingActor.photos.some(p => p.url === promotedMainPhoto)) {
+                    existingActor.main_photo = promotedMainPhoto;
+                }
+                return existingActor;
+            }, { version });
+
+            await recordAudit(env.R2_BUCKET, {
+                user: session.sub,
+                action: 'actor.update',
+                before: previousActor,
+                after: updatedActor,
+            });
+            await clearUploads(env.R2_BUCKET, uploadIds);
+
+            // Photos and videos the saved record no longer references go to the trash rather than away
+            const removedVideos = removedVideosOf(previousActor, updatedActor);
+            await trashVideos(env.R2_BUCKET, previousActor, removedVideos, session.sub);
+            const posters = removedVideos.map(video => video.poster);
+            const removedPhotos = unreferencedPhotos(previousActor, updatedActor).filter(url => !posters.includes(url));
+            await trashPhotos(env.R2_BUCKET, previousActor, removedPhotos, session.sub);
+
+            return new Response(JSON.stringify(updatedActor), { status: 200 });
+        } catch (error) {
+            await deletePhotoKeys(env, uploadedKeys);
+            return storageErrorResponse(error);
+        }
+    }
+
+    // POST /api/admin/actors/:id/videos - Add a video (multipart): `title`, a `poster` image and
+    // either a clip uploaded for this actor beforehand (`video_upload`, an upload id) or a
+    // YouTube/Vimeo `url`, plus the actor's `version` (or If-Match). Saved right away, apart
+    // from the editor's form.
+    if (method === 'POST' && pathParts[0] === 'admin' && pathParts[1] === 'actors' && pathParts[2] && pathParts[3] === 'videos') {
+        authorize(user, 'actors.edit', pathParts[2]);
+        const uploadedKeys = [];
+        try {
+            const actorId = pathParts[2];
+            checkRequestSize(request, MAX_VIDEO_REQUEST_BYTES);
+            const formData = await request.formData();
+            const { title, external, upload } = readVideoForm(formData);
+            const photoTypes = await validatePhotoFields(formData, ['poster']);
+            const version = formData.get('version') || unquoteEtag(request.headers.get('If-Match'));
+            if (!await getActor(env.R2_BUCKET, actorId)) {
+                return jsonResponse({ error: 'Actor not found' }, 404);
+            }
+
+            const clipUrl = upload ? await stagedVideoUrl(env.R2_BUCKET, upload, { user: session.sub, actorId }) : null;
+            const key = clipUrl && photoKey(clipUrl);
+
+            const poster = await uploadPhoto(env, formData.get('poster'), photoTypes, uploadedKeys);
+            let previousActor = null;
+
+            await createSnapshot(env.R2_BUCKET, `update actor ${actorId}`);
+            const updatedActor = await updateActor(env.R2_BUCKET, actorId, existingActor => {
+                previousActor = structuredClone(existingActor);
+                existingActor.videos = [...existingActor.videos, newVideo({ title, poster, external, key })];
+                return existingActor;
+            }, { version });
+            if (upload) {
+                await clearUploads(env.R2_BUCKET, [upload]);
+            }
+
+            await recordAudit(env.R2_BUCKET, {
+                user: session.sub,
+                action: 'actor.update',
+                before: previousActor,
+                after: updatedActor,
+            });
+            return jsonResponse(updatedActor, 201);
+        } catch (error) {
+            await deletePhotoKeys(env, uploadedKeys);
+            return storageErrorResponse(error);
+        }
+    }
+
+    // PATCH /api/admin/actors/:id - Change some fields without the multipart editor. Body is a JSON
+    // object of the fields to change, plus an optional `version` (or If-Match); a field set to
+    // null or "" is cleared. Photos are edited through PUT.
+    if (method === 'PATCH' && pathParts[0] === 'admin' && pathParts[1] === 'actors' && pathParts[2]) {
+        authorize(user, 'actors.edit', pathParts[2]);
+        try {
+            const actorId = pathParts[2];
+            const { version = unquoteEtag(request.headers.get('If-Match')), ...values } = await readJsonObject(request);
+            const changes = validateActor(values, { partial: true });
+            let previousActor = null;
+
+            await createSnapshot(env.R2_BUCKET, `update actor ${actorId}`);
+            const updatedActor = await updateActor(env.R2_BUCKET, actorId, existingActor => {
+                previousActor = structuredClone(existingActor);
+                return Object.assign(existingActor, changes);
+            }, { version });
+
+            await recordAudit(env.R2_BUCKET, {
+                user: session.sub,
+                action: 'actor.update',
+                before: previousActor,
+                after: updatedActor,
+            });
+            return jsonResponse(updatedActor);
+        } catch (error) {
+            return storageErrorResponse(error);
+        }
+    }
+
+    // DELETE /api/admin/actors/:id - Move an actor (and their photos) to the trash
+    if (method === 'DELETE' && pathParts[0] === 'admin' && pathParts[1] === 'actors' && pathParts[2]) {
+        authorize(user, 'actors.delete');
+        try {
+            const actorId = pathParts[2];
+            await createSnapshot(env.R2_BUCKET, `delete actor ${actorId}`);
+            const deletedActor = await trashActor(env.R2_BUCKET, actorId, {
+                version: unquoteEtag(request.headers.get('If-Match')),
+                user: session.sub,
+            });
+
+            await recordAudit(env.R2_BUCKET, { user: session.sub, action: 'actor.delete', before: deletedActor });
+
+            return new Response(JSON.stringify({ message: 'Actor moved to the trash' }), { status: 200 });
+
+        } catch (error) {
+            return storageErrorResponse(error);
+        }
+    }
+
+    return jsonResponse({ error: 'Not Found' }, 404);
+}
+
+// The scheduled job: purges trash older than TRASH_RETENTION_DAYS, drops staged uploads older
+// than STAGED_UPLOAD_TTL_HOURS, then repairs storage
+async function runMaintenance(env) {
+    const purged = await purgeTrash(env.R2_BUCKET);
+    if (purged.actors.length > 0 || purged.photos > 0) {
+        await recordAudit(env.R2_BUCKET, {
+            user: CRON_USER,
+            action: 'trash.purge',
+            changes: {},
+            details: { older_than_days: TRASH_RETENTION_DAYS, ...purged },
+        });
+    }
+    // Staged photos nobody attached become orphans, which the repair then deletes
+    await expireUploads(env.R2_BUCKET);
+    const repair = await repairStorage(env.R2_BUCKET, { user: CRON_USER });
+    // Outside a request nothing else marks the public listings out of date
+    if (repair.repaired.length > 0) {
+        await bumpContentVersion(env.R2_BUCKET);
+    }
+}
+
+// A path segment as text, or null when its %-escapes don't decode (say, /api/actors/%E0)
+function decodePathPart(part) {
+    try {
+        return decodeURIComponent(part);
+    } catch (error) {
+        return null;
+    }
+}
+
+function jsonResponse(body, status = 200, headers = {}) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { 'Content-Type': 'application/json', ...headers },
+    });
+}
+
+// Signs `user` in: a session cookie, and the same token in the body for API clients
+async function signedInResponse(env, user) {
+    const { token, expires } = await createSessionToken(env, user.username, sessionGeneration(user));
+    return jsonResponse({ username: user.username, role: user.role, token, expires }, 200, {
+        'Set-Cookie': sessionCookie(token, SESSION_TTL_SECONDS),
+    });
+}
+
+function inviteUrl(request, token) {
+    return `${new URL(request.url).origin}/admin-login.html?invite=${encodeURIComponent(token)}`;
+}
+
+// The upload `id` of `user`, if they may still add files to its actor: like starting it, creating
+// an actor for an upload without one, editing that actor (one of theirs, for a manager) otherwise
+async function authorizeUpload(env, user, id) {
+    const upload = await getUpload(env.R2_BUCKET, id, user.username);
+    if (upload.actor_id === null) {
+        authorize(user, 'actors.create');
+    } else {
+        authorize(user, 'actors.edit', upload.actor_id);
+    }
+    return upload;
+}
+
+// Accounts can only be assigned actors that exist
+async function checkActorIds(env, actorIds) {
+    if (!Array.isArray(actorIds) || actorIds.length === 0) return;
+    const known = new Set((await listActors(env.R2_BUCKET)).map(actor => actor.id));
+    const unknown = actorIds.filter(id => !known.has(id));
+    if (unknown.length > 0) {
+        throw new ValidationError(422, 'Some fields are invalid', { actor_ids: `Unknown actors: ${unknown.join(', ')}` });
+    }
+}
+
+// Public listings only include published actors, in the request's language (or untranslated
+// without one). A signed-in admin, whose account still exists, can add `?preview=1` to see
+// drafts in place as well.
+async function listVisibleActors(request, env, ctx, lang) {
+    const actors = await cachedActors(request, env, ctx);
+    const preview = new URL(request.url).searchParams.get('preview') === '1'
+        && await findSessionUser(env, await getSession(request, env)) !== null;
+    const visible = actors.filter(actor => actor.status === 'published' || (preview && actor.status === 'draft'));
+    return lang ? visible.map(actor => localizeActor(actor, lang)) : visible;
+}
+
+// Public blog posts, newest first; as with actors, a signed-in admin's `?preview=1` adds the
+// drafts and the posts scheduled for later
+async function listVisiblePosts(request, env) {
+    const posts = await listPosts(env.R2_BUCKET);
+    const preview = new URL(request.url).searchParams.get('preview') === '1'
+        && await findSessionUser(env, await getSession(request, env)) !== null;
+    return preview ? posts : posts.filter(post => isPublished(post));
+}
+
+// Stores an uploaded file (and its resized variants) under photos/ and returns its public URL, or null for an empty field.
+// `photoTypes` comes from validatePhotoFields. Keys that were written are pushed onto `uploadedKeys`
+// so the caller can roll them back.
+async function uploadPhoto(env, file, photoTypes, uploadedKeys) {
+    if (!isFile(file)) return null;
+    const type = photoTypes.get(file);
+    const key = newPhotoKey(type);
+    try {
+        const { keys } = await storePhoto(env, file, key, type.contentType);
+        uploadedKeys.push(...keys);
+    } catch (error) {
+        uploadedKeys.push(...(error.writtenKeys || []));
+        throw error;
+    }
+    return `/api/${key}`;
+}
+
+// Uploads every file, waiting for all of them to settle so a failure can't race the rollback
+async function uploadPhotos(env, files, photoTypes, uploadedKeys) {
+    const results = await Promise.allSettled(files.map(file => uploadPhoto(env, file, photoTypes, uploadedKeys)));
+    const failure = results.find(result => result.status === 'rejected');
+    if (failure) throw failure.reason;
+    return results.map(result => result.value);
+}
+
+async function deletePhotoKeys(env, keys) {
+    if (keys.length === 0) return;
+    await env.R2_BUCKET.delete(keys);
+}
+
+// Photo URLs `before` referenced that `after` no longer does
+function unreferencedPhotos(before, after) {
+    const stillUsed = new Set(actorPhotoUrls(after));
+    return [...new Set(actorPhotoUrls(before))].filter(url => !stillUsed.has(url));
+}
+
+// The videos `before` had and `after` doesn't
+function removedVideosOf(before, after) {
+    const kept = new Set(after.videos.map(video => video.id));
+    return before.videos.filter(video => !kept.has(video.id));
+}
+
+// `actor` with the photos and videos whose objects no longer exist left out; returns the URLs dropped
+async function withStoredPhotos(env, actor) {
+    const urls = [...actorPhotoUrls(actor), ...actorVideoUrls(actor)];
+    const stored = await Promise.all(urls.map(url => env.R2_BUCKET.head(photoKey(url))));
+    const missingPhotos = urls.filter((url, index) => stored[index] === null);
+
+    const record = structuredClone(actor);
+    record.photos = (record.photos || []).filter(photo => !missingPhotos.includes(photo.url));
+    record.videos = (record.videos || []).filter(video => !missingPhotos.includes(video.poster) && !missingPhotos.includes(video.url));
+    if (missingPhotos.includes(record.main_photo)) {
+        record.main_photo = null;
+    }
+    return { record, missingPhotos: [...new Set(missingPhotos)] };
+}
+
+// Answers a GET for a stored object (already looked up with head) with its `headers`: a 304 when
+// the client's copy is current, the byte range asked for (206, or 416 outside the object), or
+// the whole object
+async function storedObjectResponse(request, env, object, headers) {
+    if (matchesEtag(request.headers.get('If-None-Match'), object.httpEtag)) {
+        return new Response(null, { status: 304, headers });
+    }
+
+    // If-Range: a range of a different version than the client has is no use, send it all
+    const ifRange = request.headers.get('If-Range');
+    const range = !ifRange || matchesEtag(ifRange, object.httpEtag)
+        ? parseRange(request.headers.get('Range'), object.size)
+        : undefined;
+    if (range === null) {
+        headers.set('Content-Range', `bytes */${object.size}`);
+        return new Response(null, { status: 416, headers });
+    }
+
+    const stored = await env.R2_BUCKET.get(object.key, range ? { range } : {});
+    if (stored === null) {
+        return new Response('Object Not Found', { status: 404 });
+    }
+    if (!range) {
+        return new Response(stored.body, { headers });
+    }
+    headers.set('Content-Range', `bytes ${range.offset}-${range.offset + range.length - 1}/${object.size}`);
+    headers.set('Content-Length', String(range.length));
+    return new Response(stored.body, { status: 206, headers });
+}
+
+// Which post an audit entry is about; post records aren't kept in the log like actors are
+function postDetails(post) {
+    return { post_id: post.id, title: post.title };
+}
+
+function inquiryFlags(inquiry) {
+    return inquiry && { read: inquiry.read, archived: inquiry.archived, reply_status: inquiry.reply_status };
+}
+
+// What an import did, by actor name, for the audit log
+function importSummary(report) {
+    const names = actors => actors.map(actor => actor.name);
+    return {
+        mode: report.mode,
+        created: names(report.actors.created),
+        updated: names(report.actors.updated),
+        removed: names(report.actors.removed),
+    };
+}
+
+function unquoteEtag(value) {
+    return value ? value.replace(/^W\//, '').replace(/"/g, '') : undefined;
+}
+
+// Every error the API reports is a JSON body: { error, fields? } with `fields` keyed by input
+function storageErrorResponse(error) {
+    if (error instanceof NotFoundError) {
+        return jsonResponse({ error: error.message }, 404);
+    }
+    if (error instanceof ValidationError) {
+        return jsonResponse({ error: error.message, fields: error.fields }, error.status);
+    }
+    if (error instanceof ForbiddenError) {
+        return jsonResponse({ error: error.message }, 403);
+    }
+    if (error instanceof ConflictError) {
+        return jsonResponse({ error: error.message, current: error.current }, 409);
+    }
+    if (error instanceof UploadError) {
+        return jsonResponse({ error: error.message, fields: error.fields }, error.status);
+    }
+    if (error instanceof BackupError) {
+        return jsonResponse({ error: error.message }, error.status);
+    }
+    if (error instanceof InquiryError) {
+        const headers = error.retryAfter ? { 'Retry-After': String(error.retryAfter) } : {};
+        return jsonResponse({ error: error.message, fields: error.fields }, error.status, headers);
+    }
+    console.error(error);
+    return jsonResponse({ error: 'Something went wrong processing the request' }, 500);
+}
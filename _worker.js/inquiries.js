@@ -0,0 +1,229 @@
+// Contact and casting inquiries.
+//
+// Each inquiry is stored as `inquiries/<id>.json`. IDs start with an inverted timestamp, so a
+// plain R2 listing returns the newest inquiries first, and the inbox flags (read, archived,
+// reply status) are mirrored into the object's custom metadata so the inbox can be filtered
+// from the listing without reading every record.
+//
+// Submissions are rate limited per client IP with a small counter object under `ratelimits/`.
+// The IP is only ever stored as a salted hash.
+
+import { ConflictError, NotFoundError, listAll } from './storage.js';
+
+const INQUIRY_PREFIX = 'inquiries/';
+const RATE_LIMIT_PREFIX = 'ratelimits/inquiries/';
+const RATE_LIMIT_MAX = 5;
+const RATE_LIMIT_WINDOW_SECONDS = 60 * 60;
+const MAX_TIMESTAMP = 9999999999999;
+const LIST_PAGE_SIZE = 50;
+
+export const REPLY_STATUSES = ['pending', 'replied', 'not_needed'];
+export const INQUIRY_FILTERS = ['inbox', 'unread', 'archived', 'all'];
+
+// Submitted fields and their length limits; `required` fields must be non-empty
+const INQUIRY_FIELDS = {
+    name: { max: 100, required: true },
+    email: { max: 254, required: true },
+    phone: { max: 40 },
+    subject: { max: 200 },
+    message: { max: 5000, required: true },
+};
+
+// Filled in by bots only; the field is hidden from people with CSS
+export const HONEYPOT_FIELD = 'website';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Thrown when a submission is rejected. `fields` maps form field names to messages so the
+// contact form can show each one next to its input.
+export class InquiryError extends Error {
+    constructor(status, message, fields = {}) {
+        super(message);
+        this.name = 'InquiryError';
+        this.status = status;
+        this.fields = fields;
+    }
+}
+
+function inquiryKey(id) {
+    return `${INQUIRY_PREFIX}${id}.json`;
+}
+
+// Reads the submission from a JSON, urlencoded or multipart body
+export async function readInquiry(request) {
+    const contentType = request.headers.get('Content-Type') || '';
+    try {
+        if (contentType.includes('application/json')) {
+            const body = await request.json();
+            return body && typeof body === 'object' ? body : {};
+        }
+        return Object.fromEntries(await request.formData());
+    } catch (error) {
+        throw new InquiryError(400, 'Invalid inquiry request');
+    }
+}
+
+export function isSpam(submission) {
+    return Boolean(String(submission[HONEYPOT_FIELD] || '').trim());
+}
+
+// Returns the trimmed fields, or throws an InquiryError listing every invalid one
+export function validateInquiry(submission) {
+    const inquiry = {};
+    const fields = {};
+
+    for (const [field, { max, required }] of Object.entries(INQUIRY_FIELDS)) {
+        const value = typeof submission[field] === 'string' ? submission[field].trim() : '';
+        if (required && !value) {
+            fields[field] = 'This field is required';
+        } else if (value.length > max) {
+            fields[field] = `Must be at most ${max} characters`;
+        }
+        inquiry[field] = value;
+    }
+    if (!fields.email && !EMAIL_PATTERN.test(inquiry.email)) {
+        fields.email = 'Enter a valid email address';
+    }
+
+    if (Object.keys(fields).length > 0) {
+        throw new InquiryError(400, 'Please check the highlighted fields', fields);
+    }
+    return inquiry;
+}
+
+// Counts a submission from `ip` against its hourly allowance. The counter is a plain
+// read-modify-write, so a burst of parallel requests can slip a few extra through; that is
+// good enough to stop someone hammering the form.
+export async function checkRateLimit(bucket, ip, salt) {
+    const key = `${RATE_LIMIT_PREFIX}${await hashIp(ip, salt)}.json`;
+    const now = Math.floor(Date.now() / 1000);
+
+    const object = await bucket.get(key);
+    let counter = object !== null ? await object.json() : null;
+    if (!counter || now - counter.window_start >= RATE_LIMIT_WINDOW_SECONDS) {
+        counter = { window_start: now, count: 0 };
+    }
+
+    if (counter.count >= RATE_LIMIT_MAX) {
+        const error = new InquiryError(429, 'Too many inquiries from this address, please try again later');
+        error.retryAfter = counter.window_start + RATE_LIMIT_WINDOW_SECONDS - now;
+        throw error;
+    }
+
+    counter.count++;
+    await bucket.put(key, JSON.stringify(counter), {
+        httpMetadata: { contentType: 'application/json' },
+    });
+}
+
+// `actor` is the linked actor's { id, name } (or null); the name is copied so the inquiry still
+// reads correctly if the actor is renamed or deleted later
+export async function createInquiry(bucket, inquiry, actor = null) {
+    const now = new Date();
+    const id = `${String(MAX_TIMESTAMP - now.getTime()).padStart(13, '0')}-${crypto.randomUUID()}`;
+    const record = {
+        id,
+        ...inquiry,
+        actor,
+        read: false,
+        archived: false,
+        reply_status: 'pending',
+        created_at: now.toISOString(),
+        updated_at: now.toISOString(),
+    };
+    await putInquiry(bucket, record);
+    return record;
+}
+
+export async function getInquiry(bucket, id) {
+    const object = await bucket.get(inquiryKey(id));
+    if (object === null) {
+        return null;
+    }
+    return { ...(await object.json()), version: object.etag };
+}
+
+// Returns one page of inquiries, newest first. `cursor` is the id of the last inquiry of the
+// previous page. `unread` counts every unread inquiry that isn't archived, for the inbox badge.
+export async function listInquiries(bucket, { filter = 'inbox', cursor, limit = LIST_PAGE_SIZE } = {}) {
+    const matches = INQUIRY_FILTER_TESTS[filter] || INQUIRY_FILTER_TESTS.inbox;
+    const ids = [];
+    let unread = 0;
+    let nextCursor = null;
+
+    for (const object of await listAll(bucket, INQUIRY_PREFIX, { include: ['customMetadata'] })) {
+        const flags = flagsFromMetadata(object.customMetadata);
+        if (!flags.read && !flags.archived) unread++;
+
+        const id = object.key.slice(INQUIRY_PREFIX.length, -'.json'.length);
+        if ((cursor && id <= cursor) || !matches(flags)) continue;
+        if (ids.length < limit) {
+            ids.push(id);
+        } else if (!nextCursor) {
+            nextCursor = ids[ids.length - 1];
+        }
+    }
+
+    const inquiries = await Promise.all(ids.map(id => getInquiry(bucket, id)));
+    return { inquiries: inquiries.filter(inquiry => inquiry !== null), next_cursor: nextCursor, unread };
+}
+
+// Updates the inbox flags. `changes` may set `read`, `archived` and `reply_status`; anything
+// else is ignored.
+export async function updateInquiry(bucket, id, changes) {
+    const current = await getInquiry(bucket, id);
+    if (current === null) {
+        throw new NotFoundError('Inquiry not found');
+    }
+
+    const { version, ...next } = current;
+    if ('read' in changes) next.read = Boolean(changes.read);
+    if ('archived' in changes) next.archived = Boolean(changes.archived);
+    if ('reply_status' in changes) {
+        if (!REPLY_STATUSES.includes(changes.reply_status)) {
+            const message = `Reply status must be one of: ${REPLY_STATUSES.join(', ')}`;
+            throw new InquiryError(400, message, { reply_status: message });
+        }
+        next.reply_status = changes.reply_status;
+        // Replying implies the inquiry has been read
+        if (next.reply_status === 'replied') next.read = true;
+    }
+    next.updated_at = new Date().toISOString();
+
+    const saved = await putInquiry(bucket, next, { etagMatches: version });
+    if (saved === null) {
+        throw new ConflictError(await getInquiry(bucket, id), 'Inquiry was modified by someone else');
+    }
+    return { ...next, version: saved.etag };
+}
+
+const INQUIRY_FILTER_TESTS = {
+    inbox: flags => !flags.archived,
+    unread: flags => !flags.read && !flags.archived,
+    archived: flags => flags.archived,
+    all: () => true,
+};
+
+function putInquiry(bucket, record, onlyIf) {
+    return bucket.put(inquiryKey(record.id), JSON.stringify(record), {
+        onlyIf,
+        httpMetadata: { contentType: 'application/json' },
+        customMetadata: {
+            read: String(record.read),
+            archived: String(record.archived),
+            reply_status: record.reply_status,
+        },
+    });
+}
+
+function flagsFromMetadata(metadata = {}) {
+    return {
+        read: metadata.read === 'true',
+        archived: metadata.archived === 'true',
+    };
+}
+
+async function hashIp(ip, salt = '') {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${salt}:${ip}`));
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
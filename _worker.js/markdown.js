@@ -0,0 +1,150 @@
+// Markdown for blog post bodies.
+//
+// Posts are written in a small subset of Markdown and turned into HTML here, for the public
+// API, the server-rendered blog page and the feed. All of the source is escaped, so a body can
+// only ever produce the tags below, and links and images must be relative or http(s), the same
+// rule as js/render.js. Markup itself is refused when a post is saved (schema.js).
+//
+//   # Heading         <h2> (## is <h3>, ### and deeper <h4>; the post title is the page's h1)
+//   blank lines       separate paragraphs; a single line break stays a <br>
+//   **bold** *italic* _italic_ `code`
+//   [text](url)       a link; ![alt](url) an image
+//   - item, 1. item   lists (* and + work too)
+//   > quote           a blockquote, itself Markdown (quotes deeper than 4 join the 4th)
+//   ```               a fenced block of code, up to the next ```
+//   ---               a horizontal rule
+
+import { escapeHtml, safeUrl } from './html.js';
+
+const FENCE = /^\s*```/;
+const HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE = /^\s*([-*_])(\s*\1){2,}\s*$/;
+const QUOTE = /^\s*>\s?/;
+const QUOTES = /^(\s*>\s?)+/;
+const MAX_QUOTE_DEPTH = 4;
+const BULLET = /^\s*[-*+]\s+/;
+const NUMBERED = /^\s*\d+[.)]\s+/;
+const INLINE = /`([^`]+)`|(!?)\[([^\]]*)\]\(\s*([^()\s]*)\s*\)/g;
+
+export function renderMarkdown(source) {
+    return renderBlocks(String(source ?? '').replace(/\r\n?/g, '\n').split('\n'), 0);
+}
+
+// `depth` is how many blockquotes the lines are inside of
+function renderBlocks(lines, depth) {
+    const blocks = [];
+    let index = 0;
+
+    while (index < lines.length) {
+        const line = lines[index];
+        if (!line.trim()) {
+            index++;
+        } else if (FENCE.test(line)) {
+            const code = [];
+            index++;
+            while (index < lines.length && !FENCE.test(lines[index])) {
+                code.push(lines[index++]);
+            }
+            index++;
+            blocks.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+        } else if (HEADING.test(line)) {
+            const [, hashes, text] = HEADING.exec(line);
+            const level = Math.min(hashes.length + 1, 4);
+            blocks.push(`<h${level}>${renderInline(text)}</h${level}>`);
+            index++;
+        } else if (RULE.test(line)) {
+            blocks.push('<hr>');
+            index++;
+        } else if (QUOTE.test(line)) {
+            const quoted = [];
+            while (index < lines.length && QUOTE.test(lines[index])) {
+                quoted.push(lines[index++].replace(QUOTE, ''));
+            }
+            // The innermost quote allowed takes in the text of any deeper ones
+            const inner = depth + 1 < MAX_QUOTE_DEPTH ? quoted : quoted.map(text => text.replace(QUOTES, ''));
+            blocks.push(`<blockquote>${renderBlocks(inner, depth + 1)}</blockquote>`);
+        } else if (BULLET.test(line) || NUMBERED.test(line)) {
+            const marker = BULLET.test(line) ? BULLET : NUMBERED;
+            const items = [];
+            while (index < lines.length && lines[index].trim()) {
+                if (marker.test(lines[index])) {
+                    items.push(lines[index].replace(marker, ''));
+                } else if (startsBlock(lines[index])) {
+                    break;
+                } else {
+                    // A continuation line belongs to the item above it
+                    items[items.length - 1] += `\n${lines[index].trim()}`;
+                }
+                index++;
+            }
+            const tag = marker === BULLET ? 'ul' : 'ol';
+            blocks.push(`<${tag}>${items.map(item => `<li>${renderLines(item)}</li>`).join('')}</${tag}>`);
+        } else {
+            const paragraph = [];
+            while (index < lines.length && lines[index].trim() && (paragraph.length === 0 || !startsBlock(lines[index]))) {
+                paragraph.push(lines[index++].trim());
+            }
+            blocks.push(`<p>${renderLines(paragraph.join('\n'))}</p>`);
+        }
+    }
+    return blocks.join('\n');
+}
+
+// The text of `source` without its Markdown syntax, cut to about `maxLength` characters at a
+// word boundary; for summaries and descriptions
+export function markdownExcerpt(source, maxLength = 200) {
+    const text = String(source ?? '')
+        .replace(/^\s*```.*$/gm, '')
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/^\s*(#{1,6}|>|[-*+]|\d+[.)])\s+/gm, '')
+        .replace(/^\s*([-*_])(\s*\1){2,}\s*$/gm, '')
+        .replace(/(\*\*|__|\*|_|`)(?=\S)(.+?)\1/g, '$2')
+        .replace(/\s+/g, ' ')
+        .trim();
+    if (text.length <= maxLength) {
+        return text;
+    }
+    const cut = text.slice(0, maxLength);
+    const lastSpace = cut.lastIndexOf(' ');
+    return `${(lastSpace > maxLength / 2 ? cut.slice(0, lastSpace) : cut).replace(/[\s.,;:!?-]+$/, '')}…`;
+}
+
+function startsBlock(line) {
+    return FENCE.test(line) || HEADING.test(line) || RULE.test(line) || QUOTE.test(line) || BULLET.test(line) || NUMBERED.test(line);
+}
+
+function renderLines(text) {
+    return text.split('\n').map(renderInline).join('<br>\n');
+}
+
+// Code spans, links and images are picked out first; the text around them is escaped and then
+// gets its emphasis, so nothing inside a link's URL or a code span is touched
+function renderInline(text) {
+    let html = '';
+    let last = 0;
+    for (const match of text.matchAll(INLINE)) {
+        html += renderEmphasis(escapeHtml(text.slice(last, match.index)));
+        const [whole, code, bang, label, url] = match;
+        const href = safeUrl(url);
+        if (code !== undefined) {
+            html += `<code>${escapeHtml(code)}</code>`;
+        } else if (!href) {
+            html += renderEmphasis(escapeHtml(label));
+        } else if (bang) {
+            html += `<img src="${escapeHtml(href)}" alt="${escapeHtml(label)}" loading="lazy">`;
+        } else {
+            html += `<a href="${escapeHtml(href)}">${renderEmphasis(escapeHtml(label)) || escapeHtml(href)}</a>`;
+        }
+        last = match.index + whole.length;
+    }
+    return html + renderEmphasis(escapeHtml(text.slice(last)));
+}
+
+function renderEmphasis(html) {
+    return html
+        .replace(/\*\*(?=\S)(.+?)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|[^\w])__(?=\S)(.+?)__(?!\w)/g, '$1<strong>$2</strong>')
+        .replace(/\*(?=\S)([^*]+?)\*/g, '<em>$1</em>')
+        .replace(/(^|[^\w])_(?=\S)([^_]+?)_(?!\w)/g, '$1<em>$2</em>');
+}
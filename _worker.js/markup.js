@@ -0,0 +1,26 @@
+// Markup in stored text.
+//
+// Actor text, photo captions and video titles end up on the public pages. They are escaped
+// wherever they are rendered, and on the way in markup is refused (schema.js, videos.js, backup
+// imports) or, for fields that are cleaned up rather than validated, stripped. Only what a
+// browser would parse as the start of a tag, end tag, comment or processing instruction counts:
+// a "<" as in "<3" or "a < b" is fine.
+
+const MARKUP_PATTERN = /<[a-z!/?]/i;
+const MARKUP_TAG_PATTERN = /<[a-z!/?][^>]*>?/gi;
+
+// Whether `value`, or any text nested in it, contains markup
+export function containsMarkup(value) {
+    if (typeof value === 'string') {
+        return MARKUP_PATTERN.test(value);
+    }
+    if (value && typeof value === 'object') {
+        return Object.values(value).some(containsMarkup);
+    }
+    return false;
+}
+
+// `text` with anything that looks like a tag removed
+export function stripMarkup(text) {
+    return String(text).replace(MARKUP_TAG_PATTERN, '');
+}
@@ -0,0 +1,616 @@
+// Server-side rendering of the public pages.
+//
+// index.html, portfolio.html, actor.html and blog.html are static shells that fill themselves
+// in from the API. Crawlers and link previews don't run that script, so the Worker rewrites the pages on
+// the way out: the same markup the page scripts would build is injected with HTMLRewriter,
+// together with the <title>, Open Graph/Twitter card tags and schema.org JSON-LD.
+// Containers that were filled get a `data-ssr` attribute so the page script knows to skip its
+// own fetch and only wire up the plugins. Pages are rendered in the request's language (see
+// i18n.js); the static text around the actor content is translated by js/i18n.js. The blog's
+// posts also make up the Atom feed (/feed.xml).
+
+import { cachedActors } from './cache.js';
+import { escapeHtml } from './html.js';
+import { actorSlug, actorSummary, findActorByIdOrSlug, galleryPage, galleryPhotos, publicProfile } from './profiles.js';
+import { languageHeaders, localizeActor, requestLanguage } from './i18n.js';
+import { filterPosts, findPostByIdOrSlug, isPublished, listPosts, postSummary, postsPage, publicPost } from './posts.js';
+import { ValidationError } from './schema.js';
+
+const DEFAULT_SITE_NAME = 'Studio';
+// Post dates are shown as they fall in the agency's time zone, on the page and by js/i18n.js
+const SITE_TIME_ZONE = 'Asia/Seoul';
+const FEED_SIZE = 20;
+
+// Text the rendered markup and metadata add themselves
+const PAGE_TEXT = {
+    ko: {
+        locale: 'ko_KR',
+        home: '홈',
+        portfolio: '포트폴리오',
+        portfolioOf: names => `${names}의 포트폴리오`,
+        all: '전체',
+        photoCredit: '사진',
+        showreel: '쇼릴',
+        blog: '블로그',
+        readMore: '더 읽기',
+        olderPosts: '이전 소식',
+        newestPosts: '최신 소식',
+        allPosts: '모든 소식',
+        noPosts: '아직 소식이 없습니다.',
+        tagged: tag => `'${tag}' 소식`,
+        newsOf: name => `${name} 관련 소식`,
+        asRole: role => `${role} 역`,
+        lead: '주연',
+        supporting: '조연',
+        directedBy: name => `감독 ${name}`,
+    },
+    en: {
+        locale: 'en_US',
+        home: 'Home',
+        portfolio: 'Portfolio',
+        portfolioOf: names => `Portfolio of ${names}`,
+        all: 'All',
+        photoCredit: 'Photo',
+        showreel: 'Showreel',
+        blog: 'Blog',
+        readMore: 'Read More',
+        olderPosts: 'Older posts',
+        newestPosts: 'Newest posts',
+        allPosts: 'All posts',
+        noPosts: 'No news yet.',
+        tagged: tag => `News tagged '${tag}'`,
+        newsOf: name => `News about ${name}`,
+        asRole: role => `as ${role}`,
+        lead: 'Lead',
+        supporting: 'Supporting',
+        directedBy: name => `Dir. ${name}`,
+    },
+};
+
+const PAGES = {
+    '/': renderHome,
+    '/index.html': renderHome,
+    '/index': renderHome,
+    '/portfolio.html': renderPortfolio,
+    '/portfolio': renderPortfolio,
+    '/actor.html': renderActor,
+    '/actor': renderActor,
+    '/blog.html': renderBlog,
+    '/blog': renderBlog,
+};
+
+// Static pages listed in the sitemap besides the actor profiles
+const SITEMAP_PAGES = ['/', '/portfolio.html', '/about-me.html', '/blog.html', '/contact.html'];
+
+// Rewrites `response` (the static asset) if it is one of the pages above. Admin previews
+// (`?preview=1`) are left to the page script, which can include drafts.
+export async function renderPage(request, env, ctx, response) {
+    const url = new URL(request.url);
+    const render = PAGES[url.pathname];
+    const contentType = response.headers.get('Content-Type') || '';
+    if (!render || !response.ok || !contentType.includes('text/html') || url.searchParams.get('preview') === '1') {
+        return response;
+    }
+
+    const lang = requestLanguage(request);
+    const actors = (await publishedActors(request, env, ctx)).map(actor => localizeActor(actor, lang));
+    const site = { origin: url.origin, name: env.SITE_NAME || DEFAULT_SITE_NAME, lang, text: PAGE_TEXT[lang] };
+    const rewriter = new HTMLRewriter().on('html', {
+        element(element) {
+            element.setAttribute('lang', lang);
+        },
+    });
+
+    const rendered = (await render(rewriter, { url, env, actors, site })).transform(response);
+    const headers = new Headers(rendered.headers);
+    for (const [name, value] of Object.entries(languageHeaders(lang))) {
+        headers.set(name, value);
+    }
+    return new Response(rendered.body, { status: rendered.status, headers });
+}
+
+export async function sitemapResponse(request, env, ctx) {
+    const { origin } = new URL(request.url);
+    const [actors, posts] = await Promise.all([
+        publishedActors(request, env, ctx),
+        listPosts(env.R2_BUCKET).then(all => all.filter(post => isPublished(post))),
+    ]);
+
+    const entries = [
+        ...SITEMAP_PAGES.map(path => ({ loc: `${origin}${path}` })),
+        ...actors.map(actor => ({
+            loc: profileUrl(origin, actor),
+            lastmod: actor.updated_at,
+        })),
+        ...posts.map(post => ({
+            loc: postUrl(origin, post),
+            lastmod: post.updated_at,
+        })),
+    ];
+
+    const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${entries.map(entry => `  <url>
+    <loc>${escapeHtml(entry.loc)}</loc>${entry.lastmod ? `
+    <lastmod>${escapeHtml(entry.lastmod)}</lastmod>` : ''}
+  </url>`).join('\n')}
+</urlset>
+`;
+    return new Response(xml, {
+        headers: { 'Content-Type': 'application/xml; charset=utf-8' },
+    });
+}
+
+// The newest published posts as an Atom feed, in the request's language (which only affects
+// the names of linked actors)
+export async function feedResponse(request, env, ctx) {
+    const url = new URL(request.url);
+    const lang = requestLanguage(request);
+    const actors = (await publishedActors(request, env, ctx)).map(actor => localizeActor(actor, lang));
+    const posts = (await listPosts(env.R2_BUCKET))
+        .filter(post => isPublished(post))
+        .slice(0, FEED_SIZE)
+        .map(post => publicPost(post, actors));
+    const siteName = env.SITE_NAME || DEFAULT_SITE_NAME;
+    const blogUrl = `${url.origin}/blog.html`;
+    // A post edited before it came out was still updated when it was published
+    const updated = post => [post.updated_at, post.published_at].sort().pop();
+
+    const xml = `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${lang}" xml:base="${escapeHtml(url.origin)}/">
+  <title>${escapeHtml(`${siteName} ${PAGE_TEXT[lang].blog}`)}</title>
+  <link href="${escapeHtml(blogUrl)}"/>
+  <link rel="self" href="${escapeHtml(`${url.origin}/feed.xml`)}"/>
+  <id>${escapeHtml(blogUrl)}</id>
+  <updated>${escapeHtml(posts.map(updated).sort().pop() || new Date().toISOString())}</updated>
+${posts.map(post => `  <entry>
+    <title>${escapeHtml(post.title)}</title>
+    <link href="${escapeHtml(postUrl(url.origin, post))}"/>
+    <id>urn:uuid:${escapeHtml(post.id)}</id>
+    <published>${escapeHtml(post.published_at)}</published>
+    <updated>${escapeHtml(updated(post))}</updated>
+    <author><name>${escapeHtml(siteName)}</name></author>
+    <summary>${escapeHtml(post.summary)}</summary>
+    <content type="html">${escapeHtml(post.html)}</content>${post.tags.map(tag => `
+    <category term="${escapeHtml(tag)}"/>`).join('')}
+  </entry>`).join('\n')}
+</feed>
+`;
+    return new Response(xml, {
+        headers: { 'Content-Type': 'application/atom+xml; charset=utf-8', ...languageHeaders(lang) },
+    });
+}
+
+// The roster the public JSON is built from as well, see cache.js
+async function publishedActors(request, env, ctx) {
+    return (await cachedActors(request, env, ctx)).filter(actor => actor.status === 'published');
+}
+
+function renderHome(rewriter, { actors, site }) {
+    const slides = actors.map(actorSummary);
+    const first = slides[0];
+
+    withMetadata(rewriter, site, {
+        title: `${site.name} | ${site.text.home}`,
+        description: slides.map(slide => slide.name).join(', '),
+        image: first && first.main_photo && absoluteUrl(site.origin, `${first.main_photo}?size=full`),
+        url: `${site.origin}/`,
+        jsonLd: {
+            '@context': 'https://schema.org',
+            '@type': 'ItemList',
+            itemListElement: actors.map((actor, index) => ({
+                '@type': 'ListItem',
+                position: index + 1,
+                item: personJsonLd(site, actor),
+            })),
+        },
+    });
+
+    return rewriter
+        .on('#welcomeSlider .carousel-inner', replaceWith(slides.map((slide, index) => slideHtml(slide, index, site.text)).join('')))
+        .on('#welcomeSlider .carousel-indicators', replaceWith(slides.map(indicatorHtml).join('')));
+}
+
+// The first page of the gallery; `?actor=<slug>` narrows it to one actor, as the menu does
+function renderPortfolio(rewriter, { url, actors, site }) {
+    const selected = url.searchParams.get('actor') ? findActorByIdOrSlug(actors, url.searchParams.get('actor')) : null;
+    const shown = selected ? [selected] : actors;
+    const { photos, next_cursor: nextCursor } = galleryPage(galleryPhotos(shown));
+    const first = photos[0];
+
+    withMetadata(rewriter, site, {
+        title: `${selected ? `${selected.name} | ` : ''}${site.name} | ${site.text.portfolio}`,
+        description: site.text.portfolioOf(shown.map(actor => actor.name).join(', ')),
+        image: first && absoluteUrl(site.origin, `${first.photoUrl}?size=full`),
+        url: `${site.origin}/portfolio.html${selected ? `?actor=${encodeURIComponent(actorSlug(selected))}` : ''}`,
+        jsonLd: {
+            '@context': 'https://schema.org',
+            '@type': 'ImageGallery',
+            name: `${site.name} ${site.text.portfolio}`,
+            image: photos.map(photo => ({
+                '@type': 'ImageObject',
+                contentUrl: absoluteUrl(site.origin, `${photo.photoUrl}?size=full`),
+                caption: photo.caption || undefined,
+                creditText: photo.credit || undefined,
+            })),
+        },
+    });
+
+    const menuHtml = `<button class="btn${selected ? '' : ' active'}" type="button" data-actor="">${escapeHtml(site.text.all)}</button>`
+        + actors.map(actor => `<button class="btn${actor === selected ? ' active' : ''}" type="button" data-actor="${escapeHtml(actorSlug(actor))}">${escapeHtml(actor.name)}</button>`).join('');
+
+    rewriter
+        .on('.portfolio-menu', replaceWith(menuHtml))
+        .on('.portfolio-column', replaceWith(photos.map(photo => galleryItemHtml(photo, site.text, true)).join('')))
+        .on('.portfolio-column', {
+            element(element) {
+                if (nextCursor) element.setAttribute('data-next-cursor', nextCursor);
+            },
+        });
+    if (selected) {
+        rewriter.on('#actor-profile-link', {
+            element(element) {
+                element.setAttribute('href', `actor.html?slug=${encodeURIComponent(actorSlug(selected))}`);
+                element.removeAttribute('style');
+            },
+        });
+    }
+    return rewriter;
+}
+
+function renderActor(rewriter, { url, actors, site }) {
+    const actor = findActorByIdOrSlug(actors, url.searchParams.get('slug') || url.searchParams.get('id'));
+    if (!actor) {
+        return rewriter;
+    }
+    const profile = publicProfile(actor, site.lang);
+    // In English the name already is the English name
+    const alternateName = profile.english_name !== profile.name ? profile.english_name : '';
+
+    withMetadata(rewriter, site, {
+        title: `${profile.name}${alternateName ? ` (${alternateName})` : ''} | ${site.name}`,
+        description: profile.large_text || `${profile.name} - ${site.name}`,
+        image: profile.main_photo && absoluteUrl(site.origin, `${profile.main_photo}?size=full`),
+        url: profileUrl(site.origin, actor),
+        type: 'profile',
+        jsonLd: personJsonLd(site, actor),
+    });
+
+    return rewriter
+        .on('#actor-name', replaceWith(escapeHtml(profile.name)))
+        .on('#actor-english-name', replaceWith(escapeHtml(alternateName || '')))
+        .on('#actor-intro', replaceWith(escapeHtml(profile.large_text || '')))
+        .on('#actor-main-photo', {
+            element(element) {
+                if (!profile.main_photo) return;
+                element.setAttribute('src', `${profile.main_photo}?size=full`);
+                element.setAttribute('alt', profile.name);
+            },
+        })
+        .on('#actor-inquiry-link', {
+            element(element) {
+                element.setAttribute('href', `contact.html?actor=${encodeURIComponent(profile.id)}`);
+                element.removeAttribute('style');
+            },
+        })
+        .on('#actor-filmography', replaceWith(profile.filmography.map(group => filmographyGroupHtml(group, site.text)).join('')))
+        .on('#actor-photos', replaceWith(profile.photos.map(photo => galleryItemHtml({
+            photoUrl: photo.url,
+            actorName: profile.name,
+            ...photo,
+        }, site.text)).join('')));
+}
+
+// The blog: one page of posts, narrowed by `?tag=` or `?actor=` and continued with `?cursor=`
+// as the page script does, or a single post with `?post=<slug>`
+async function renderBlog(rewriter, { url, env, actors, site }) {
+    const posts = (await listPosts(env.R2_BUCKET)).filter(post => isPublished(post));
+
+    if (url.searchParams.get('post')) {
+        const found = findPostByIdOrSlug(posts, url.searchParams.get('post'));
+        if (!found) {
+            return rewriter;
+        }
+        const post = publicPost(found, actors);
+        withMetadata(rewriter, site, {
+            title: `${post.title} | ${site.name}`,
+            description: post.summary,
+            image: post.cover && absoluteUrl(site.origin, `${post.cover}?size=full`),
+            url: postUrl(site.origin, post),
+            type: 'article',
+            jsonLd: articleJsonLd(site, post),
+        });
+        return rewriter.on('#blog-posts', replaceWith(blogPostHtml(post, site)));
+    }
+
+    const tag = url.searchParams.get('tag') || '';
+    const actorParam = url.searchParams.get('actor');
+    const actor = actorParam ? findActorByIdOrSlug(actors, actorParam) : null;
+    if (actorParam && !actor) {
+        return rewriter;
+    }
+    let page;
+    try {
+        page = postsPage(filterPosts(posts, { tag, actorId: actor && actor.id }), { cursor: url.searchParams.get('cursor') || undefined });
+    } catch (error) {
+        // A page that no longer exists is left to the page script to report
+        if (error instanceof ValidationError) return rewriter;
+        throw error;
+    }
+    const shown = page.posts.map(post => postSummary(post, actors));
+    const filter = { tag, actor: actor ? actorSlug(actor) : '' };
+    const heading = [tag && site.text.tagged(tag), actor && site.text.newsOf(actor.name)].filter(text => text).join(' · ');
+    const first = shown.find(post => post.cover);
+
+    withMetadata(rewriter, site, {
+        title: `${heading ? `${heading} | ` : ''}${site.name} | ${site.text.blog}`,
+        description: shown.map(post => post.title).join(', ') || site.text.noPosts,
+        image: first && absoluteUrl(site.origin, `${first.cover}?size=full`),
+        url: blogUrl(site.origin, { ...filter, cursor: url.searchParams.get('cursor') }),
+        jsonLd: {
+            '@context': 'https://schema.org',
+            '@type': 'Blog',
+            name: `${site.name} ${site.text.blog}`,
+            url: blogUrl(site.origin, {}),
+            blogPost: shown.map(post => articleJsonLd(site, post)),
+        },
+    });
+
+    return rewriter
+        .on('#blog-posts', replaceWith(blogListHtml(shown, heading, site)))
+        .on('#blog-pagination', replaceWith(blogPaginationHtml(filter, url.searchParams.has('cursor'), page.next_cursor, site.text)));
+}
+
+// Sets the title and description and appends the social card tags and JSON-LD to <head>
+function withMetadata(rewriter, site, { title, description, image, url, type = 'website', jsonLd }) {
+    const tags = [
+        ['property', 'og:site_name', site.name],
+        ['property', 'og:locale', site.text.locale],
+        ['property', 'og:type', type],
+        ['property', 'og:title', title],
+        ['property', 'og:description', description],
+        ['property', 'og:url', url],
+        ['property', 'og:image', image],
+        ['name', 'twitter:card', image ? 'summary_large_image' : 'summary'],
+        ['name', 'twitter:title', title],
+        ['name', 'twitter:description', description],
+        ['name', 'twitter:image', image],
+    ].filter(([, , content]) => content);
+
+    const headHtml = [
+        `<link rel="canonical" href="${escapeHtml(url)}">`,
+        ...tags.map(([attribute, name, content]) => `<meta ${attribute}="${name}" content="${escapeHtml(content)}">`),
+        `<script type="application/ld+json">${jsonForScript(jsonLd)}</script>`,
+    ].join('\n    ');
+
+    rewriter
+        .on('title', {
+            element(element) {
+                element.setInnerContent(title);
+            },
+        })
+        .on('meta[name="description"]', {
+            element(element) {
+                element.setAttribute('content', description);
+            },
+        })
+        .on('head', {
+            element(element) {
+                element.append(`    ${headHtml}\n`, { html: true });
+            },
+        });
+}
+
+function personJsonLd(site, actor) {
+    return {
+        '@context': 'https://schema.org',
+        '@type': 'Person',
+        name: actor.name,
+        alternateName: actor.english_name !== actor.name ? actor.english_name || undefined : undefined,
+        description: actor.large_text || undefined,
+        jobTitle: 'Actor',
+        image: actor.main_photo ? absoluteUrl(site.origin, `${actor.main_photo}?size=full`) : undefined,
+        url: profileUrl(site.origin, actor),
+        worksFor: { '@type': 'Organization', name: site.name, url: `${site.origin}/` },
+    };
+}
+
+function articleJsonLd(site, post) {
+    return {
+        '@context': 'https://schema.org',
+        '@type': 'BlogPosting',
+        headline: post.title,
+        description: post.summary || undefined,
+        image: post.cover ? absoluteUrl(site.origin, `${post.cover}?size=full`) : undefined,
+        datePublished: post.published_at,
+        dateModified: post.updated_at,
+        keywords: post.tags.length > 0 ? post.tags.join(', ') : undefined,
+        mentions: post.actors.map(actor => ({ '@type': 'Person', name: actor.name, url: profileUrl(site.origin, actor) })),
+        url: postUrl(site.origin, post),
+        publisher: { '@type': 'Organization', name: site.name, url: `${site.origin}/` },
+    };
+}
+
+// The markup below mirrors what the page scripts build client-side
+
+function slideHtml(slide, index, text) {
+    return `
+                <div class="carousel-item h-100 bg-img ${index === 0 ? 'active' : ''}"${backgroundStyle(slide.main_photo, 'full')}>
+                    <div class="carousel-content h-100">
+                        <div class="slide-text">
+                            <span>${escapeHtml(slide.small_text)}</span>
+                            <h2><a href="actor.html?slug=${encodeURIComponent(slide.slug)}"> ${escapeHtml(slide.large_text)}</a></h2>
+                            ${slide.showreel ? `<a class="video-popup slide-showreel" href="${escapeHtml(slide.showreel.embed_url)}" title="${escapeHtml(slide.showreel.title)}"><i class="fa fa-play"></i> ${escapeHtml(text.showreel)}</a>` : ''}
+                        </div>
+                    </div>
+                </div>`;
+}
+
+function indicatorHtml(slide, index) {
+    return `
+                <li data-target="#welcomeSlider" data-slide-to="${index}" class="bg-img ${index === 0 ? 'active' : ''}"${backgroundStyle(slide.main_photo, 'thumb')}></li>`;
+}
+
+// The portfolio gallery lazy-loads its images and lays them out again as they arrive. A video
+// shows its poster and plays in a popup.
+function galleryItemHtml(photo, text, lazy = false) {
+    if (photo.type === 'video') {
+        return `
+                <div class="col-12 col-sm-6 col-md-4 col-lg-3 column_single_gallery_item gallery_video">
+                    <img src="${escapeHtml(photo.photoUrl)}?size=medium" alt="${escapeHtml(photo.alt || photo.actorName)}"${lazy ? ' loading="lazy"' : ''}>
+                    <span class="video-play-icon"><i class="fa fa-play"></i></span>
+                    <div class="hover_overlay">
+                        <a class="video-popup" href="${escapeHtml(photo.videoUrl)}" title="${escapeHtml(photo.caption)}"><i class="fa fa-play"></i></a>
+                    </div>
+                </div>`;
+    }
+    const title = [photo.caption, photo.credit && `${text.photoCredit}: ${photo.credit}`].filter(t => t).join(' · ');
+    return `
+                <div class="col-12 col-sm-6 col-md-4 col-lg-3 column_single_gallery_item">
+                    <img src="${escapeHtml(photo.photoUrl)}?size=medium" alt="${escapeHtml(photo.alt || photo.actorName)}"${lazy ? ' loading="lazy"' : ''}>
+                    <div class="hover_overlay">
+                        <a class="gallery_img" href="${escapeHtml(photo.photoUrl)}?size=full" title="${escapeHtml(title)}"><i class="fa fa-eye"></i></a>
+                    </div>
+                </div>`;
+}
+
+function filmographyGroupHtml(group, text) {
+    return `
+                    <div class="actor-filmography-group">
+                        <h4>${escapeHtml(group.category)}</h4>
+                        <ul>
+                            ${group.works.map(work => workHtml(work, text)).join('')}
+                        </ul>
+                    </div>`;
+}
+
+// One work: its title (linked when it has a link), then the role and credits, then any awards
+function workHtml(work, text) {
+    const title = work.link
+        ? `<a href="${escapeHtml(work.link)}" target="_blank" rel="noopener noreferrer">${escapeHtml(work.title)}</a>`
+        : escapeHtml(work.title);
+    const role = [work.role && text.asRole(work.role), work.billing && text[work.billing]].filter(part => part).join(' · ');
+    const credits = [work.director && text.directedBy(work.director), work.broadcaster].filter(part => part).join(' · ');
+    const awards = work.awards.map(award => `<li><i class="fa fa-trophy" aria-hidden="true"></i> ${escapeHtml(award)}</li>`).join('');
+    return `<li><span class="work-year">${escapeHtml(work.year || '')}</span> <span class="work-title">${title}</span>`
+        + (role ? ` <span class="work-role">${escapeHtml(role)}</span>` : '')
+        + (credits ? ` <span class="work-credits">${escapeHtml(credits)}</span>` : '')
+        + (awards ? `<ul class="work-awards">${awards}</ul>` : '')
+        + '</li>';
+}
+
+// `heading` names the filter the list is narrowed by, if any
+function blogListHtml(posts, heading, site) {
+    const filterHtml = heading ? `
+                <div class="col-10 blog-filter">
+                    <p>${escapeHtml(heading)} · <a href="blog.html">${escapeHtml(site.text.allPosts)}</a></p>
+                </div>` : '';
+    if (posts.length === 0) {
+        return `${filterHtml}
+                <div class="col-10 blog-empty"><p>${escapeHtml(site.text.noPosts)}</p></div>`;
+    }
+    return filterHtml + posts.map(post => `
+                <div class="col-10">
+                    <div class="single-blog-area text-center mb-100">
+                        ${post.cover ? `<div class="blog-thumbnail mb-100">
+                            <a href="${escapeHtml(postPath(post))}"><img src="${escapeHtml(post.cover)}?size=full" alt="${escapeHtml(post.cover_alt)}" loading="lazy"></a>
+                        </div>` : ''}
+                        <div class="blog-content">
+                            <span></span>
+                            <h2><a href="${escapeHtml(postPath(post))}">${escapeHtml(post.title)}</a></h2>
+                            ${postMetaHtml(post, site)}
+                            <p>${escapeHtml(post.summary)}</p>
+                            <a href="${escapeHtml(postPath(post))}" class="btn studio-btn"><img src="img/core-img/logo-icon.png" alt=""> ${escapeHtml(site.text.readMore)}</a>
+                        </div>
+                    </div>
+                </div>`).join('');
+}
+
+// `post.html` was rendered from the post's Markdown, which escapes everything (see markdown.js)
+function blogPostHtml(post, site) {
+    return `
+                <div class="col-10">
+                    <article class="single-blog-area blog-post mb-100">
+                        ${post.cover ? `<div class="blog-thumbnail mb-100">
+                            <img src="${escapeHtml(post.cover)}?size=full" alt="${escapeHtml(post.cover_alt)}">
+                        </div>` : ''}
+                        <div class="blog-content text-center">
+                            <span></span>
+                            <h1>${escapeHtml(post.title)}</h1>
+                            ${postMetaHtml(post, site)}
+                        </div>
+                        <div class="blog-post-body">${post.html}</div>
+                        <div class="text-center">
+                            <a href="blog.html" class="btn studio-btn"><img src="img/core-img/logo-icon.png" alt=""> ${escapeHtml(site.text.allPosts)}</a>
+                        </div>
+                    </article>
+                </div>`;
+}
+
+// The date, the linked actors and the tags
+function postMetaHtml(post, site) {
+    return `<time class="post-date" datetime="${escapeHtml(post.published_at)}">${escapeHtml(formatDate(post.published_at, site.lang))}</time>`
+        + (post.actors.length > 0 ? `<div class="post-actors">${post.actors.map(actor => `<a href="actor.html?slug=${encodeURIComponent(actor.slug)}" class="post-author">${escapeHtml(actor.name)}</a>`).join('')}</div>` : '')
+        + (post.tags.length > 0 ? `<div class="post-tags">${post.tags.map(tag => `<a href="blog.html?tag=${encodeURIComponent(tag)}">#${escapeHtml(tag)}</a>`).join(' ')}</div>` : '');
+}
+
+function blogPaginationHtml(filter, paged, nextCursor, text) {
+    const link = (query, label) => `<li class="page-item"><a class="page-link" href="${escapeHtml(blogPath(query))}">${escapeHtml(label)}</a></li>`;
+    return [
+        paged ? link(filter, text.newestPosts) : '',
+        nextCursor ? link({ ...filter, cursor: nextCursor }, text.olderPosts) : '',
+    ].join('');
+}
+
+function formatDate(date, lang) {
+    return new Intl.DateTimeFormat(lang === 'ko' ? 'ko-KR' : 'en-US', {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+        timeZone: SITE_TIME_ZONE,
+    }).format(new Date(date));
+}
+
+function backgroundStyle(photoUrl, size) {
+    return photoUrl ? ` style="background-image: url(${escapeHtml(photoUrl)}?size=${size})"` : '';
+}
+
+function replaceWith(html) {
+    return {
+        element(element) {
+            element.setInnerContent(html, { html: true });
+            element.setAttribute('data-ssr', 'true');
+        },
+    };
+}
+
+function profileUrl(origin, actor) {
+    return `${origin}/actor.html?slug=${encodeURIComponent(actorSlug(actor))}`;
+}
+
+function postPath(post) {
+    return `blog.html?post=${encodeURIComponent(post.slug)}`;
+}
+
+function postUrl(origin, post) {
+    return `${origin}/${postPath(post)}`;
+}
+
+// blog.html with the given query parameters, leaving out the empty ones
+function blogPath(query) {
+    const search = new URLSearchParams(Object.entries(query).filter(([, value]) => value)).toString();
+    return `blog.html${search ? `?${search}` : ''}`;
+}
+
+function blogUrl(origin, query) {
+    return `${origin}/${blogPath(query)}`;
+}
+
+function absoluteUrl(origin, path) {
+    return new URL(path, origin).toString();
+}
+
+// JSON for an inline <script>: "</script>" and "<!--" must not appear in it
+function jsonForScript(value) {
+    return JSON.stringify(value).replace(/</g, '\\u003c');
+}
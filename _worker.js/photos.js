@@ -0,0 +1,66 @@
+// Portfolio photo entries.
+//
+// `actor.photos` is an ordered list of { url, caption, credit, alt, tags }. Older records stored
+// a plain array of URLs; normalizePhoto upgrades those entries when they are read.
+
+import { stripMarkup } from './markup.js';
+
+const PHOTO_TEXT_FIELDS = ['caption', 'credit', 'alt'];
+const MAX_TEXT_LENGTH = 500;
+const MAX_TAGS = 20;
+
+export function normalizePhoto(photo) {
+    if (typeof photo === 'string') {
+        return { url: photo, caption: '', credit: '', alt: '', tags: [] };
+    }
+    return {
+        ...photo,
+        caption: photo.caption || '',
+        credit: photo.credit || '',
+        alt: photo.alt || '',
+        tags: Array.isArray(photo.tags) ? photo.tags : [],
+    };
+}
+
+export function newPhoto(url) {
+    return normalizePhoto(url);
+}
+
+// Every photo URL an actor references, main photo and video posters included
+export function actorPhotoUrls(actor) {
+    const photos = (actor.photos || []).map(photo => (typeof photo === 'string' ? photo : photo && photo.url));
+    const posters = (actor.videos || []).map(video => video.poster);
+    return [actor.main_photo, ...photos, ...posters].filter(url => url);
+}
+
+// The R2 key of the original behind a photo URL (`/api/photos/<name>` -> `photos/<name>`)
+export function photoKey(url) {
+    return url.replace('/api/', '');
+}
+
+// Reorders the actor's photos and updates their metadata from the editor's submitted list.
+// Only photos the actor already has are accepted; entries for unknown URLs are ignored, and
+// existing photos missing from the submission keep their place at the end.
+export function applyPhotoEdits(photos, submitted) {
+    const byUrl = new Map(photos.map(photo => [photo.url, photo]));
+    const ordered = [];
+
+    for (const entry of submitted) {
+        const photo = entry && byUrl.get(entry.url);
+        if (!photo) continue;
+        byUrl.delete(entry.url);
+        ordered.push({ ...photo, ...photoMetadata(entry) });
+    }
+
+    return [...ordered, ...byUrl.values()];
+}
+
+function photoMetadata(entry) {
+    const metadata = {};
+    for (const field of PHOTO_TEXT_FIELDS) {
+        metadata[field] = stripMarkup(entry[field] || '').trim().slice(0, MAX_TEXT_LENGTH);
+    }
+    const tags = Array.isArray(entry.tags) ? entry.tags : String(entry.tags || '').split(',');
+    metadata.tags = [...new Set(tags.map(tag => stripMarkup(tag).trim()).filter(tag => tag))].slice(0, MAX_TAGS);
+    return metadata;
+}
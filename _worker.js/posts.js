@@ -0,0 +1,211 @@
+// Blog posts: agency news such as casting wins, premieres and press.
+//
+// Each post is stored as `posts/<id>.json`, with its status and publish date mirrored into the
+// object's custom metadata. A post is public once it is `published` and its `publish_at` has
+// passed, so publishing with a date ahead schedules it; publishing without one sets it to now.
+// The body is Markdown (see markdown.js), the cover a photo uploaded under photos/ like an
+// actor's (see index.js), and posts are addressed by id or by their slug. Writes are
+// conditional on the ETag that was read, as for actors (see storage.js).
+//
+// Public listings are cached by content version (cache.js), which only changes when an admin
+// writes. A scheduled post coming due isn't a write, so the public routes add
+// publishedPostCount, read from the listing's metadata alone, to their cache variant.
+
+import { ConflictError, NotFoundError, listAll } from './storage.js';
+import { ValidationError, readForm, validateRecord } from './schema.js';
+import { actorSlug, slugify } from './profiles.js';
+import { markdownExcerpt, renderMarkdown } from './markdown.js';
+
+const POST_PREFIX = 'posts/';
+const MAX_SLUG_LENGTH = 80;
+export const POSTS_PAGE_SIZE = 10;
+const MAX_POSTS_PAGE_SIZE = 50;
+
+export const POST_STATUSES = ['draft', 'published'];
+
+export const POST_SCHEMA = {
+    title: { type: 'text', required: true, maxLength: 200 },
+    slug: { type: 'slug', maxLength: MAX_SLUG_LENGTH },
+    summary: { type: 'text', maxLength: 500 },
+    body: { type: 'text', required: true, maxLength: 50000 },
+    cover_alt: { type: 'text', maxLength: 200 },
+    tags: { type: 'strings', maxItems: 20, maxLength: 40 },
+    actor_ids: { type: 'strings', maxItems: 50, maxLength: 100 },
+    status: { type: 'choice', required: true, choices: POST_STATUSES, default: 'draft' },
+    publish_at: { type: 'datetime' },
+};
+
+function postKey(id) {
+    return `${POST_PREFIX}${id}.json`;
+}
+
+// See validateRecord in schema.js
+export function validatePost(values, options) {
+    return validateRecord(POST_SCHEMA, values, options);
+}
+
+export function readPostForm(formData) {
+    return readForm(POST_SCHEMA, formData);
+}
+
+// Every post, drafts included, newest first, each with its `version`
+export async function listPosts(bucket) {
+    const keys = (await listAll(bucket, POST_PREFIX)).map(object => object.key);
+    const posts = await Promise.all(keys.map(key => getPost(bucket, key.slice(POST_PREFIX.length, -'.json'.length))));
+    return posts.filter(post => post !== null).sort(newestFirst);
+}
+
+export async function getPost(bucket, id) {
+    const object = await bucket.get(postKey(id));
+    if (object === null) {
+        return null;
+    }
+    return { ...(await object.json()), version: object.etag };
+}
+
+// Stores a new post; its slug and publish date are filled in as described above
+export async function createPost(bucket, post) {
+    const now = new Date().toISOString();
+    const record = withPublishDetails({ ...post, created_at: now, updated_at: now }, await listPosts(bucket));
+    const saved = await putPost(bucket, record, { etagDoesNotMatch: '*' });
+    if (saved === null) {
+        throw new ConflictError(await getPost(bucket, post.id), 'A post with this id already exists');
+    }
+    return { ...record, version: saved.etag };
+}
+
+// Applies `mutate` to a copy of the stored post and writes it back only if nobody else has
+// written in between (and, given the `version` the editor loaded, not since then either)
+export async function updatePost(bucket, id, mutate, { version } = {}) {
+    const current = await getPost(bucket, id);
+    if (current === null) {
+        throw new NotFoundError('Post not found');
+    }
+    if (version && version !== current.version) {
+        throw new ConflictError(current, 'Post was modified by someone else');
+    }
+
+    const { version: currentVersion, ...stored } = current;
+    const next = withPublishDetails(await mutate(structuredClone(stored)), await listPosts(bucket));
+    next.id = id;
+    next.updated_at = new Date().toISOString();
+
+    const saved = await putPost(bucket, next, { etagMatches: currentVersion });
+    if (saved === null) {
+        throw new ConflictError(await getPost(bucket, id), 'Post was modified by someone else');
+    }
+    return { ...next, version: saved.etag };
+}
+
+// Removes a post for good and returns it; the caller deletes its cover
+export async function deletePost(bucket, id, { version } = {}) {
+    const current = await getPost(bucket, id);
+    if (current === null) {
+        throw new NotFoundError('Post not found');
+    }
+    if (version && version !== current.version) {
+        throw new ConflictError(current, 'Post was modified by someone else');
+    }
+    await bucket.delete(postKey(id));
+    return current;
+}
+
+// Whether `post` is on the public site at `now`
+export function isPublished(post, now = Date.now()) {
+    return post.status === 'published' && Date.parse(post.publish_at) <= now;
+}
+
+// How many posts are public right now, from the listing's metadata
+export async function publishedPostCount(bucket) {
+    const now = Date.now();
+    const objects = await listAll(bucket, POST_PREFIX, { include: ['customMetadata'] });
+    return objects.filter(object => isPublished(object.customMetadata || {}, now)).length;
+}
+
+// Finds a post by id first, then by slug
+export function findPostByIdOrSlug(posts, idOrSlug) {
+    const key = String(idOrSlug || '').toLowerCase();
+    return posts.find(post => post.id === idOrSlug) || posts.find(post => post.slug === key) || null;
+}
+
+// The posts with the tag `tag` (case aside) and/or linked to the actor `actorId`
+export function filterPosts(posts, { tag, actorId } = {}) {
+    const wanted = tag ? tag.trim().toLowerCase() : '';
+    return posts.filter(post => (!wanted || post.tags.some(postTag => postTag.toLowerCase() === wanted))
+        && (!actorId || post.actor_ids.includes(actorId)));
+}
+
+// One page of `posts`. `cursor` is the `next_cursor` of the previous page: the id of its last post.
+export function postsPage(posts, { cursor, limit = POSTS_PAGE_SIZE } = {}) {
+    const pageSize = Math.min(Math.max(Number(limit) || POSTS_PAGE_SIZE, 1), MAX_POSTS_PAGE_SIZE);
+    let start = 0;
+    if (cursor) {
+        const index = posts.findIndex(post => post.id === cursor);
+        if (index === -1) {
+            throw new ValidationError(400, 'That page of the blog no longer exists', { cursor: 'Unknown cursor' });
+        }
+        start = index + 1;
+    }
+    const page = posts.slice(start, start + pageSize);
+    return {
+        posts: page,
+        next_cursor: start + pageSize < posts.length ? page[page.length - 1].id : null,
+    };
+}
+
+// A post as the blog lists it. `actors` are the public actors (localized), from which the
+// linked ones are named; links to actors that aren't public are left out.
+export function postSummary(post, actors) {
+    return {
+        id: post.id,
+        slug: post.slug,
+        title: post.title,
+        summary: post.summary || markdownExcerpt(post.body),
+        cover: post.cover || null,
+        cover_alt: post.cover_alt || post.title,
+        tags: post.tags,
+        actors: post.actor_ids
+            .map(id => actors.find(actor => actor.id === id))
+            .filter(actor => actor)
+            .map(actor => ({ id: actor.id, slug: actorSlug(actor), name: actor.name })),
+        published_at: post.publish_at || null,
+        updated_at: post.updated_at,
+    };
+}
+
+// The whole post, its body rendered to HTML
+export function publicPost(post, actors) {
+    return { ...postSummary(post, actors), html: renderMarkdown(post.body) };
+}
+
+// Fills in the publish date of a post published without one, and its slug: the one given, or
+// one made from the title (or the id, for a title without Latin letters). A slug another post
+// already has is refused when it was given, and made unique when it was made up.
+function withPublishDetails(post, posts) {
+    if (post.status === 'published' && !post.publish_at) {
+        post.publish_at = new Date().toISOString();
+    }
+    const taken = slug => posts.some(other => other.id !== post.id && other.slug === slug);
+    if (post.slug) {
+        if (taken(post.slug)) {
+            throw new ValidationError(422, 'Some fields are invalid', { slug: 'Another post already uses this address' });
+        }
+        return post;
+    }
+    const slug = slugify(post.title).slice(0, MAX_SLUG_LENGTH).replace(/-+$/, '') || post.id;
+    post.slug = taken(slug) ? `${slug}-${post.id.slice(0, 8)}` : slug;
+    return post;
+}
+
+function putPost(bucket, record, onlyIf) {
+    return bucket.put(postKey(record.id), JSON.stringify(record), {
+        onlyIf,
+        httpMetadata: { contentType: 'application/json' },
+        customMetadata: { status: record.status, publish_at: record.publish_at || '' },
+    });
+}
+
+// By publish date, with drafts that have none by when they were written
+function newestFirst(a, b) {
+    return (b.publish_at || b.created_at).localeCompare(a.publish_at || a.created_at) || b.id.localeCompare(a.id);
+}
@@ -0,0 +1,193 @@
+// Public actor profiles.
+//
+// Profiles are addressed by id or by a slug derived from `english_name`
+// (e.g. "Kim Min-su" -> "kim-min-su"), so links can be shared in a readable form.
+
+import { ValidationError } from './schema.js';
+import { WORK_CATEGORIES, WORK_CATEGORY_IDS, categoryLabel, workCategoryLabel } from './works.js';
+
+export const GALLERY_PAGE_SIZE = 24;
+const MAX_GALLERY_PAGE_SIZE = 100;
+
+export function actorSlug(actor) {
+    return slugify(actor.english_name) || actor.id;
+}
+
+// Latin letters and digits of `text`, lowercased and joined by hyphens ('' when there are none)
+export function slugify(text) {
+    return String(text || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+// Finds an actor by id first, then by slug; the first actor in carousel order wins a slug tie
+export function findActorByIdOrSlug(actors, idOrSlug) {
+    const key = String(idOrSlug || '').toLowerCase();
+    return actors.find(actor => actor.id === idOrSlug)
+        || actors.find(actor => actorSlug(actor) === key)
+        || null;
+}
+
+// Groups works by category, in the order of WORK_CATEGORIES and labelled in `lang`, with the
+// newest year first. `other` works with a label of their own get a group per label after them.
+export function groupWorks(works, lang) {
+    const groups = new Map(WORK_CATEGORIES.map(category => [category.id, { id: category.id, label: categoryLabel(category.id, lang), works: [] }]));
+    for (const work of works || []) {
+        const label = workCategoryLabel(work, lang);
+        const key = label === categoryLabel(work.category, lang) ? work.category : `${work.category}:${label}`;
+        if (!groups.has(key)) {
+            groups.set(key, { id: work.category, label, works: [] });
+        }
+        groups.get(key).works.push({
+            year: work.year,
+            title: work.title,
+            role: work.role,
+            billing: work.billing,
+            director: work.director,
+            broadcaster: work.broadcaster,
+            link: work.link,
+            awards: work.awards,
+        });
+    }
+    return [...groups.values()]
+        .filter(group => group.works.length > 0)
+        .map(group => ({
+            category: group.label,
+            category_id: group.id,
+            works: group.works.sort((a, b) => (workYear(b) - workYear(a)) || 0),
+        }));
+}
+
+// `?category=&year_from=&year_to=` of a public listing: only actors with a work of that category
+// and within those years (all of them in the same work). Returns null when none is given.
+export function readWorkFilter(searchParams) {
+    const category = searchParams.get('category') || '';
+    const yearFrom = searchParams.get('year_from') || '';
+    const yearTo = searchParams.get('year_to') || '';
+    const errors = {};
+    if (category && !WORK_CATEGORY_IDS.includes(category)) {
+        errors.category = `Must be one of: ${WORK_CATEGORY_IDS.join(', ')}`;
+    }
+    for (const [name, value] of [['year_from', yearFrom], ['year_to', yearTo]]) {
+        if (value && !/^\d{4}$/.test(value)) errors[name] = 'Must be a year';
+    }
+    if (!errors.year_from && !errors.year_to && yearFrom && yearTo && yearFrom > yearTo) {
+        errors.year_to = 'Must not be before year_from';
+    }
+    if (Object.keys(errors).length > 0) {
+        throw new ValidationError(400, 'Invalid filter', errors);
+    }
+    if (!category && !yearFrom && !yearTo) {
+        return null;
+    }
+    return {
+        category,
+        yearFrom: yearFrom ? Number(yearFrom) : null,
+        yearTo: yearTo ? Number(yearTo) : null,
+    };
+}
+
+// Whether one of the actor's works matches `filter` (see readWorkFilter); works without a year
+// never match a year range
+export function hasMatchingWork(actor, filter) {
+    return (actor.works || []).some(work => {
+        if (filter.category && work.category !== filter.category) {
+            return false;
+        }
+        const year = workYear(work);
+        if (year === -Infinity) {
+            return filter.yearFrom === null && filter.yearTo === null;
+        }
+        return (filter.yearFrom === null || year >= filter.yearFrom) && (filter.yearTo === null || year <= filter.yearTo);
+    });
+}
+
+// One slide on the home carousel; `index` is the actor's place among the published actors
+export function actorSummary(actor, index) {
+    return {
+        id: actor.id,
+        name: actor.name,
+        large_text: actor.large_text,
+        small_text: actor.small_text || `${index + 1}.`, // Keep for backward compatibility or use index
+        main_photo: actor.main_photo,
+        position: index,
+        slug: actorSlug(actor),
+        showreel: actor.videos.length > 0 ? { title: actor.videos[0].title, embed_url: actor.videos[0].embed_url } : null,
+    };
+}
+
+// Every portfolio item of the given actors, in carousel order: an actor's videos (shown by
+// their poster, `videoUrl` being what plays) and then their photos
+export function galleryPhotos(actors) {
+    return actors.flatMap(actor => [
+        ...actor.videos.map(video => ({
+            type: 'video',
+            actorId: actor.id,
+            actorName: actor.name,
+            photoUrl: video.poster,
+            videoUrl: video.embed_url,
+            caption: video.title,
+            credit: '',
+            alt: video.title,
+            tags: [],
+        })),
+        ...actor.photos.map(photo => ({
+            type: 'photo',
+            actorId: actor.id,
+            actorName: actor.name,
+            photoUrl: photo.url,
+            caption: photo.caption,
+            credit: photo.credit,
+            alt: photo.alt,
+            tags: photo.tags,
+        })),
+    ]);
+}
+
+// One page of `photos` (from galleryPhotos). `cursor` is the `next_cursor` of the previous page:
+// the file name of its last photo, so a page stays in place when photos are added before it.
+export function galleryPage(photos, { cursor, limit = GALLERY_PAGE_SIZE } = {}) {
+    const pageSize = Math.min(Math.max(Number(limit) || GALLERY_PAGE_SIZE, 1), MAX_GALLERY_PAGE_SIZE);
+    let start = 0;
+    if (cursor) {
+        const index = photos.findIndex(photo => photoName(photo.photoUrl) === cursor);
+        if (index === -1) {
+            throw new ValidationError(400, 'That page of the gallery no longer exists', { cursor: 'Unknown cursor' });
+        }
+        start = index + 1;
+    }
+    const page = photos.slice(start, start + pageSize);
+    const hasMore = start + pageSize < photos.length;
+    return {
+        photos: page,
+        next_cursor: hasMore ? photoName(page[page.length - 1].photoUrl) : null,
+    };
+}
+
+export function publicProfile(actor, lang) {
+    return {
+        id: actor.id,
+        slug: actorSlug(actor),
+        name: actor.name,
+        english_name: actor.english_name,
+        large_text: actor.large_text,
+        small_text: actor.small_text,
+        main_photo: actor.main_photo,
+        photos: actor.photos,
+        videos: actor.videos.map(video => ({ id: video.id, title: video.title, poster: video.poster, embed_url: video.embed_url })),
+        filmography: groupWorks(actor.works, lang),
+    };
+}
+
+function photoName(url) {
+    return String(url).split('/').pop();
+}
+
+// Works without a usable year sort after the dated ones
+function workYear(work) {
+    const year = parseInt(work.year, 10);
+    return Number.isNaN(year) ? -Infinity : year;
+}
@@ -0,0 +1,279 @@
+// Schema of the actor fields the admin edits.
+//
+// Creating (multipart POST), saving the editor (multipart PUT) and patching (JSON PATCH) all go
+// through validateActor, so each field's type, whether it is required and its maximum length
+// are declared once, below. Other records the admin writes (blog posts, see posts.js) declare
+// their own schema and check it with validateRecord. Problems are reported per field, keyed by their path (`name`,
+// `works[2].year`, `translations.en.large_text`), so the admin page can show each message next
+// to the input that caused it. A request that can't be read at all is a 400; one that can be
+// read but breaks the schema is a 422.
+//
+// Text is shown on the public pages, so markup in it is refused here on top of being escaped
+// wherever it is rendered (see markup.js).
+
+import { ACTOR_STATUSES, DEFAULT_ACTOR_STATUS } from './storage.js';
+import {
+    DEFAULT_LANGUAGE,
+    LANGUAGES,
+    TRANSLATED_FIELDS,
+    TRANSLATED_WORK_FIELDS,
+    normalizeTranslations,
+} from './i18n.js';
+import { containsMarkup } from './markup.js';
+import { WORK_BILLINGS, WORK_CATEGORY_IDS, isWebLink } from './works.js';
+
+const MAX_YEARS_AHEAD = 10;
+const MIN_YEAR = 1900;
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+export const WORK_SCHEMA = {
+    category: { type: 'choice', required: true, choices: WORK_CATEGORY_IDS },
+    // What an `other` work's category is called instead, e.g. from a legacy or imported entry
+    category_label: { type: 'text', maxLength: 50 },
+    year: { type: 'year' },
+    title: { type: 'text', required: true, maxLength: 200 },
+    role: { type: 'text', maxLength: 100 },
+    billing: { type: 'choice', choices: WORK_BILLINGS },
+    director: { type: 'text', maxLength: 100 },
+    broadcaster: { type: 'text', maxLength: 100 },
+    link: { type: 'url', maxLength: 500 },
+    awards: { type: 'strings', maxItems: 20, maxLength: 200 },
+    translations: { type: 'translations', fields: TRANSLATED_WORK_FIELDS },
+};
+
+export const ACTOR_SCHEMA = {
+    name: { type: 'text', required: true, maxLength: 100 },
+    english_name: { type: 'text', maxLength: 100 },
+    large_text: { type: 'text', maxLength: 500 },
+    small_text: { type: 'text', maxLength: 100 },
+    status: { type: 'choice', required: true, choices: ACTOR_STATUSES, default: DEFAULT_ACTOR_STATUS },
+    works: { type: 'list', of: WORK_SCHEMA, maxItems: 500 },
+    translations: { type: 'translations', fields: TRANSLATED_FIELDS },
+};
+
+// Fields sent JSON-encoded in the admin's multipart form
+const JSON_TYPES = ['list', 'strings', 'translations'];
+
+export class ValidationError extends Error {
+    constructor(status, message, fields = {}) {
+        super(message);
+        this.name = 'ValidationError';
+        this.status = status;
+        this.fields = fields;
+    }
+}
+
+// Checks `values` against ACTOR_SCHEMA and returns the cleaned-up fields (see validateRecord)
+export function validateActor(values, options) {
+    return validateRecord(ACTOR_SCHEMA, values, options);
+}
+
+// Checks `values` against `schema` and returns the cleaned-up fields. With `partial` only the
+// fields present in `values` are checked and returned (an update); otherwise missing fields get
+// their default or are empty (a new record). `null` and "" clear a field; clearing a required
+// field is an error like any other.
+export function validateRecord(schema, values, { partial = false } = {}) {
+    const errors = {};
+    for (const field of Object.keys(values)) {
+        if (!schema[field]) errors[field] = 'Not an editable field';
+    }
+
+    const record = {};
+    for (const [field, rule] of Object.entries(schema)) {
+        if (partial && !(field in values)) continue;
+        const value = values[field] === undefined && 'default' in rule ? rule.default : values[field];
+        record[field] = checkValue(rule, value, field, errors, schema);
+    }
+
+    if (Object.keys(errors).length > 0) {
+        throw new ValidationError(422, 'Some fields are invalid', errors);
+    }
+    return record;
+}
+
+export function readActorForm(formData) {
+    return readForm(ACTOR_SCHEMA, formData);
+}
+
+// The `schema` fields present in the admin's multipart form, JSON-encoded ones parsed
+export function readForm(schema, formData) {
+    const values = {};
+    for (const [field, rule] of Object.entries(schema)) {
+        if (!formData.has(field)) continue;
+        values[field] = JSON_TYPES.includes(rule.type) ? formJson(formData, field, null) : formData.get(field);
+    }
+    return values;
+}
+
+// Parses a JSON-encoded form field, or returns `fallback` when the field isn't there
+export function formJson(formData, field, fallback) {
+    const raw = formData.get(field);
+    if (raw === null || raw === '') {
+        return fallback;
+    }
+    try {
+        return JSON.parse(raw);
+    } catch (error) {
+        throw new ValidationError(400, `${field} is not valid JSON`, { [field]: 'Must be valid JSON' });
+    }
+}
+
+// The request body as a JSON object
+export async function readJsonObject(request) {
+    let body;
+    try {
+        body = await request.json();
+    } catch (error) {
+        throw new ValidationError(400, 'Expected a JSON body');
+    }
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw new ValidationError(400, 'Expected a JSON object');
+    }
+    return body;
+}
+
+function checkValue(rule, value, path, errors, schema) {
+    const empty = value === null || value === undefined || value === '';
+    switch (rule.type) {
+        case 'text': {
+            if (!empty && typeof value !== 'string' && typeof value !== 'number') {
+                errors[path] = 'Must be text';
+                return undefined;
+            }
+            const text = empty ? '' : String(value).trim();
+            if (rule.required && !text) {
+                errors[path] = 'Required';
+            } else if (text.length > rule.maxLength) {
+                errors[path] = `Must be at most ${rule.maxLength} characters`;
+            } else if (containsMarkup(text)) {
+                errors[path] = 'Must not contain HTML tags';
+            }
+            return text;
+        }
+        case 'choice':
+            if (empty && !rule.required) {
+                return '';
+            }
+            if (empty) {
+                errors[path] = 'Required';
+            } else if (!rule.choices.includes(value)) {
+                errors[path] = `Must be one of: ${rule.choices.join(', ')}`;
+            }
+            return value;
+        case 'year': {
+            if (empty) {
+                return '';
+            }
+            const year = String(value).trim();
+            const latest = new Date().getUTCFullYear() + MAX_YEARS_AHEAD;
+            if (!/^\d{4}$/.test(year) || Number(year) < MIN_YEAR || Number(year) > latest) {
+                errors[path] = `Must be a year between ${MIN_YEAR} and ${latest}`;
+            }
+            return year;
+        }
+        case 'list': {
+            if (empty) {
+                return [];
+            }
+            if (!Array.isArray(value)) {
+                errors[path] = 'Must be a list';
+                return undefined;
+            }
+            if (value.length > rule.maxItems) {
+                errors[path] = `At most ${rule.maxItems} entries`;
+            }
+            return value.map((item, index) => checkRecord(rule.of, item, `${path}[${index}]`, errors));
+        }
+        case 'strings': {
+            // A list of short texts (tags, ids); blanks and repeats are dropped
+            if (empty) {
+                return [];
+            }
+            if (!Array.isArray(value)) {
+                errors[path] = 'Must be a list';
+                return undefined;
+            }
+            if (value.length > rule.maxItems) {
+                errors[path] = `At most ${rule.maxItems} entries`;
+            }
+            const items = value.map((item, index) => checkValue({ type: 'text', maxLength: rule.maxLength }, item, `${path}[${index}]`, errors, schema));
+            return [...new Set(items.filter(item => item))];
+        }
+        case 'url': {
+            // An outside link shown on the public pages
+            const link = empty ? '' : String(value).trim();
+            if (link.length > rule.maxLength) {
+                errors[path] = `Must be at most ${rule.maxLength} characters`;
+            } else if (link && !isWebLink(link)) {
+                errors[path] = 'Must be an http:// or https:// link';
+            }
+            return link;
+        }
+        case 'slug': {
+            const slug = empty ? '' : String(value).trim().toLowerCase();
+            if (slug.length > rule.maxLength) {
+                errors[path] = `Must be at most ${rule.maxLength} characters`;
+            } else if (slug && !SLUG_PATTERN.test(slug)) {
+                errors[path] = 'Use only lowercase letters, digits and single hyphens';
+            }
+            return slug;
+        }
+        case 'datetime': {
+            if (empty) {
+                return '';
+            }
+            const time = typeof value === 'string' ? Date.parse(value) : NaN;
+            if (Number.isNaN(time)) {
+                errors[path] = 'Must be a date and time';
+                return undefined;
+            }
+            return new Date(time).toISOString();
+        }
+        case 'translations':
+            return checkTranslations(rule, value, path, errors, schema);
+        default:
+            throw new Error(`Unknown schema type ${rule.type}`);
+    }
+}
+
+function checkRecord(schema, value, path, errors) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        errors[path] = 'Must be an object';
+        return undefined;
+    }
+    const record = {};
+    for (const [field, rule] of Object.entries(schema)) {
+        record[field] = checkValue(rule, value[field], `${path}.${field}`, errors, schema);
+    }
+    return record;
+}
+
+// `{ en: { large_text: '...' } }`: other languages than Korean, each with the translatable
+// fields of the record it belongs to, held to the same maximum lengths. Empty ones are dropped.
+function checkTranslations(rule, value, path, errors, schema) {
+    if (value === null || value === undefined || value === '') {
+        return undefined;
+    }
+    if (typeof value !== 'object' || Array.isArray(value)) {
+        errors[path] = 'Must be an object keyed by language';
+        return undefined;
+    }
+    for (const [lang, fields] of Object.entries(value)) {
+        if (!LANGUAGES.includes(lang) || lang === DEFAULT_LANGUAGE) {
+            errors[`${path}.${lang}`] = `Must be one of: ${LANGUAGES.filter(l => l !== DEFAULT_LANGUAGE).join(', ')}`;
+            continue;
+        }
+        if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+            errors[`${path}.${lang}`] = 'Must be an object';
+            continue;
+        }
+        for (const [field, text] of Object.entries(fields)) {
+            if (!rule.fields.includes(field)) {
+                errors[`${path}.${lang}.${field}`] = 'Not a translatable field';
+                continue;
+            }
+            checkValue({ ...schema[field], required: false }, text, `${path}.${lang}.${field}`, errors, schema);
+        }
+    }
+    return normalizeTranslations(value, rule.fields);
+}
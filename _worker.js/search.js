@@ -0,0 +1,124 @@
+// Site-wide search over the published actors.
+//
+// A query is matched against each actor's names (Korean and English), intro text and works
+// (titles, roles and category labels) in every language the actor has text in, so a film can be found by
+// its Korean or its English title whatever language the site is shown in. Matching ignores
+// case and diacritics ("pokemon" finds "Pokémon"). Korean is compared letter by letter
+// (jamo), so a syllable that is still being typed already matches.
+//
+// Every word of the query has to match somewhere. Each word scores by the field it matched
+// (a name counts more than a work, a work more than the intro) and how closely (the whole
+// text, the start of a word, or anywhere), and actors are ranked by their total.
+
+import { localizeActor } from './i18n.js';
+import { actorSlug } from './profiles.js';
+import { WORK_CATEGORIES, workCategoryLabel } from './works.js';
+
+const MAX_QUERY_LENGTH = 100;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+const FIELD_WEIGHTS = {
+    name: 10,
+    work_title: 6,
+    work_role: 4,
+    work_category: 2,
+    large_text: 1,
+};
+
+const MATCH_WEIGHTS = {
+    exact: 3,
+    word: 2,
+    anywhere: 1,
+};
+
+// Lower case without diacritics; Hangul syllables come apart into their letters
+export function foldText(text) {
+    return String(text ?? '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase();
+}
+
+// Ranked results for `query` among `actors` (raw records, shown in `lang`). Each result carries
+// the works that matched, so the search can answer "who was in this film".
+export function searchActors(actors, query, { lang, limit = DEFAULT_LIMIT } = {}) {
+    const terms = foldText(String(query || '').slice(0, MAX_QUERY_LENGTH)).split(/\s+/).filter(Boolean);
+    const pageSize = Math.min(Math.max(Number(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    if (terms.length === 0) {
+        return [];
+    }
+
+    const results = [];
+    actors.forEach((actor, position) => {
+        const fields = searchableFields(actor);
+        let score = 0;
+        for (const term of terms) {
+            const best = Math.max(0, ...fields.map(field => FIELD_WEIGHTS[field.type] * matchWeight(field.text, term)));
+            if (best === 0) return;
+            score += best;
+        }
+
+        const matchedWorks = new Set(fields
+            .filter(field => field.work !== undefined && terms.some(term => matchWeight(field.text, term) > 0))
+            .map(field => field.work));
+        const localized = localizeActor(actor, lang);
+        results.push({
+            position,
+            result: {
+                id: actor.id,
+                slug: actorSlug(actor),
+                name: localized.name,
+                english_name: actor.english_name,
+                main_photo: actor.main_photo,
+                score,
+                works: (localized.works || [])
+                    .filter((work, index) => matchedWorks.has(index))
+                    .map(work => ({ category: workCategoryLabel(work, lang), year: work.year, title: work.title, role: work.role })),
+            },
+        });
+    });
+
+    // Ties keep the carousel order
+    return results
+        .sort((a, b) => (b.result.score - a.result.score) || (a.position - b.position))
+        .slice(0, pageSize)
+        .map(({ result }) => result);
+}
+
+// Every piece of text an actor can be found by, folded, with what kind of field it came from
+function searchableFields(actor) {
+    const fields = [];
+    const add = (type, text, work) => {
+        if (text) fields.push({ type, text: foldText(text), work });
+    };
+    const translations = record => Object.values(record.translations || {});
+
+    add('name', actor.name);
+    add('name', actor.english_name);
+    add('large_text', actor.large_text);
+    translations(actor).forEach(translated => add('large_text', translated.large_text));
+    (actor.works || []).forEach((work, index) => {
+        add('work_title', work.title, index);
+        add('work_role', work.role, index);
+        translations(work).forEach(translated => {
+            add('work_title', translated.title, index);
+            add('work_role', translated.role, index);
+        });
+        const category = WORK_CATEGORIES.find(candidate => candidate.id === work.category);
+        Object.values(category ? category.labels : {}).forEach(label => add('work_category', label, index));
+        add('work_category', work.category_label, index);
+    });
+    return fields;
+}
+
+function matchWeight(text, term) {
+    if (text === term) {
+        return MATCH_WEIGHTS.exact;
+    }
+    const index = text.indexOf(term);
+    if (index === -1) {
+        return 0;
+    }
+    return index === 0 || /[\s\-(,.·:'"]/.test(text[index - 1]) ? MATCH_WEIGHTS.word : MATCH_WEIGHTS.anywhere;
+}
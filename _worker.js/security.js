@@ -0,0 +1,71 @@
+// Security headers for every response.
+//
+// HTML pages get a Content-Security-Policy that only runs scripts from this site and the inline
+// <script> blocks of the page itself: each response gets a fresh nonce, which HTMLRewriter adds
+// to the page's own <script> elements. Markup a page script builds from stored content has no
+// nonce, so even if a value slipped past the escaping (js/render.js) it would not run. Styles
+// may be inline (the theme and the rendered slides use style attributes); videos may only be
+// framed from YouTube, Vimeo and this site. Everything else (API JSON, photos, videos) gets a
+// policy that allows nothing, since none of it is meant to be rendered as a document.
+
+const PAGE_POLICY = {
+    'default-src': ["'self'"],
+    'script-src': ["'self'", 'https://maps.googleapis.com', 'https://maps.gstatic.com'],
+    'style-src': ["'self'", "'unsafe-inline'", 'https://cdnjs.cloudflare.com', 'https://fonts.googleapis.com'],
+    'font-src': ["'self'", 'data:', 'https://cdnjs.cloudflare.com', 'https://fonts.gstatic.com'],
+    'img-src': ["'self'", 'data:', 'blob:', 'https://*.googleapis.com', 'https://*.gstatic.com', 'https://*.google.com'],
+    'media-src': ["'self'", 'blob:'],
+    'frame-src': ["'self'", 'https://www.youtube-nocookie.com', 'https://player.vimeo.com', 'https://www.google.com'],
+    'connect-src': ["'self'", 'https://maps.googleapis.com'],
+    'object-src': ["'none'"],
+    'base-uri': ["'self'"],
+    'form-action': ["'self'"],
+    'frame-ancestors': ["'self'"],
+};
+
+const RESOURCE_POLICY = "default-src 'none'; frame-ancestors 'self'";
+
+const COMMON_HEADERS = {
+    'X-Content-Type-Options': 'nosniff',
+    'X-Frame-Options': 'SAMEORIGIN',
+    'Referrer-Policy': 'strict-origin-when-cross-origin',
+    'Permissions-Policy': 'camera=(), microphone=(), geolocation=(), payment=()',
+    'Strict-Transport-Security': 'max-age=31536000',
+};
+
+// `response` with the security headers set (and, for a page, its scripts given the nonce)
+export function withSecurityHeaders(response) {
+    const contentType = response.headers.get('Content-Type') || '';
+    let secured;
+    let policy = RESOURCE_POLICY;
+    if (contentType.includes('text/html') && response.body) {
+        const nonce = newNonce();
+        secured = new HTMLRewriter().on('script', {
+            element(element) {
+                element.setAttribute('nonce', nonce);
+            },
+        }).transform(response);
+        policy = pagePolicy(nonce);
+    } else {
+        secured = response;
+    }
+
+    // Responses from fetch() and Response.redirect() have immutable headers
+    const headers = new Headers(secured.headers);
+    for (const [name, value] of Object.entries(COMMON_HEADERS)) {
+        headers.set(name, value);
+    }
+    headers.set('Content-Security-Policy', policy);
+    return new Response(secured.body, { status: secured.status, statusText: secured.statusText, headers });
+}
+
+function pagePolicy(nonce) {
+    return Object.entries(PAGE_POLICY)
+        .map(([directive, sources]) => [directive, ...sources, ...(directive === 'script-src' ? [`'nonce-${nonce}'`] : [])].join(' '))
+        .join('; ');
+}
+
+function newNonce() {
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    return btoa(String.fromCharCode(...bytes));
+}
@@ -0,0 +1,349 @@
+// Photo and video clip uploads staged ahead of a save.
+//
+// Sending every new portfolio photo with the actor editor's form breaks down at a few dozen
+// high-resolution files: the one request times out or outgrows the Worker's body limit. A clip
+// is too big to read in one request at all, as the Worker would hold all of it in memory. So
+// the editor uploads each file on its own while the form is still open:
+//
+//   POST /api/admin/uploads                  start: { actor_id, name, size, kind }
+//   PUT  /api/admin/uploads/<id>/parts/<n>   the file's n-th STAGED_PART_BYTES, as the raw body
+//   POST /api/admin/uploads/<id>/complete    check the file and store it
+//
+// The parts go into an R2 multipart upload, so a file whose upload fails halfway is resumed from
+// the parts already stored (GET /api/admin/uploads/<id> lists them) instead of being sent again.
+// A photo's parts are put together under staging/, then checked like any other upload
+// (uploads.js) and stored with its variants (images.js). A clip (`kind: 'video'`) is checked by
+// its first part and put together where it is served from, under videos/, since it is never
+// read whole. Saving the editor then attaches a photo by the upload's id
+// (`portfolio_uploads`), and adding a video its clip (`video_upload`); only the account that
+// uploaded it can, and only to the actor it was uploaded for (or, without one, to a new actor).
+//
+// Each upload is recorded in staging/<id>.json until a save attaches it. The scheduled job drops
+// uploads nobody attached within STAGED_UPLOAD_TTL_HOURS; their photos are then orphans, which
+// the storage repair deletes (see health.js).
+
+import { NotFoundError, listAll } from './storage.js';
+import { ValidationError } from './schema.js';
+import { MAX_FILE_BYTES, UploadError, newPhotoKey, sniffImageType } from './uploads.js';
+import { MAX_VIDEO_BYTES, newVideoKey, sniffVideoType } from './videos.js';
+import { photoObjectKeys, storePhoto } from './images.js';
+import { photoKey } from './photos.js';
+import { stripMarkup } from './markup.js';
+
+const STAGING_PREFIX = 'staging/';
+// R2 wants every part but the last to be the same size, and at least 5 MiB
+export const STAGED_PART_BYTES = 5 * 1024 * 1024;
+export const STAGED_UPLOAD_TTL_HOURS = 24;
+export const UPLOAD_KINDS = ['photo', 'video'];
+const MAX_BYTES = { photo: MAX_FILE_BYTES, video: MAX_VIDEO_BYTES };
+const MAX_NAME_LENGTH = 200;
+const RECORD_RETRIES = 5;
+const HOUR_MS = 60 * 60 * 1000;
+
+function recordKey(id) {
+    return `${STAGING_PREFIX}${id}.json`;
+}
+
+function partsKey(id) {
+    return `${STAGING_PREFIX}${id}.upload`;
+}
+
+// Starts uploading a file of `size` bytes for `user`, to be attached to the actor `actorId`
+// (null for one not saved yet); `name` is only shown back to the uploader. A clip's multipart
+// upload only starts with its first part, which tells where it goes.
+export async function startUpload(bucket, { user, actorId = null, name, size, kind = 'photo' }) {
+    if (!UPLOAD_KINDS.includes(kind)) {
+        throw new ValidationError(422, 'Some fields are invalid', { kind: `Must be one of: ${UPLOAD_KINDS.join(', ')}` });
+    }
+    const fileName = stripMarkup(String(name || '')).trim().slice(0, MAX_NAME_LENGTH) || kind;
+    if (!Number.isInteger(size) || size <= 0) {
+        throw new ValidationError(422, 'Some fields are invalid', { size: 'Must be the size of the file in bytes' });
+    }
+    if (size > MAX_BYTES[kind]) {
+        throw new UploadError(413, 'Some files could not be uploaded', {
+            file: `"${fileName}" is larger than ${Math.round(MAX_BYTES[kind] / (1024 * 1024))} MB`,
+        });
+    }
+
+    const id = crypto.randomUUID();
+    const multipart = kind === 'photo' ? await bucket.createMultipartUpload(partsKey(id)) : null;
+    const record = {
+        id,
+        user,
+        actor_id: actorId,
+        kind,
+        name: fileName,
+        size,
+        key: kind === 'photo' ? partsKey(id) : null,
+        upload_id: multipart && multipart.uploadId,
+        parts: [],
+        url: null,
+        created_at: new Date().toISOString(),
+    };
+    await bucket.put(recordKey(id), JSON.stringify(record), {
+        httpMetadata: { contentType: 'application/json' },
+    });
+    return publicUpload(record);
+}
+
+// The upload `id` as its uploader sees it; another account's is as good as missing
+export async function getUpload(bucket, id, user) {
+    const { record } = await readUpload(bucket, id, user);
+    return publicUpload(record);
+}
+
+// Stores part `partNumber` (counted from 1) of the upload. Sending a part again replaces it, so
+// a part whose response was lost can simply be retried.
+export async function uploadPart(bucket, id, user, partNumber, body) {
+    const { record } = await readUpload(bucket, id, user);
+    if (record.url) {
+        return publicUpload(record);
+    }
+    const count = partCount(record.size);
+    const number = Number(partNumber);
+    if (!Number.isInteger(number) || number < 1 || number > count) {
+        throw new UploadError(400, `Part number must be between 1 and ${count}`);
+    }
+    const bytes = new Uint8Array(body);
+    const expected = partSize(record.size, number);
+    if (bytes.length !== expected) {
+        throw new UploadError(400, `Part ${number} must be ${expected} bytes, not ${bytes.length}`);
+    }
+    // The first bytes tell what the file is, so anything but a photo (or clip) stops here
+    const type = number === 1 ? await sniffType(record, new Blob([bytes])) : null;
+    if (number === 1 && !type) {
+        throw new UploadError(400, 'Some files could not be uploaded', { file: wrongType(record) });
+    }
+    const { key, upload_id: uploadId } = record.upload_id ? record : await startClip(bucket, record, type, number);
+
+    const part = await bucket.resumeMultipartUpload(key, uploadId).uploadPart(number, bytes);
+    const saved = await changeUpload(bucket, id, user, current => {
+        const others = current.parts.filter(stored => stored.part_number !== number);
+        current.parts = [...others, { part_number: number, etag: part.etag }]
+            .sort((a, b) => a.part_number - b.part_number);
+    });
+    return publicUpload(saved);
+}
+
+// Puts the parts together and stores the file as a photo (or clip), whose URL the upload then
+// carries. Completing again (say, after the response was lost) changes nothing.
+export async function completeUpload(env, id, user) {
+    const bucket = env.R2_BUCKET;
+    const { record } = await readUpload(bucket, id, user);
+    if (record.url) {
+        return publicUpload(record);
+    }
+    const missing = missingParts(record);
+    if (missing.length > 0) {
+        throw new UploadError(400, `Parts not uploaded yet: ${missing.join(', ')}`);
+    }
+
+    // A retry after the parts were put together finds the file already there
+    if (await bucket.head(record.key) === null) {
+        await bucket.resumeMultipartUpload(record.key, record.upload_id)
+            .complete(record.parts.map(part => ({ partNumber: part.part_number, etag: part.etag })));
+    }
+    if (record.kind === 'video') {
+        return publicUpload(await changeUpload(bucket, id, user, current => {
+            current.url = `/api/${record.key}`;
+            current.completed_at = new Date().toISOString();
+        }));
+    }
+    const object = await bucket.get(partsKey(id));
+    const file = new Blob([await object.arrayBuffer()]);
+    const type = await sniffImageType(file);
+    if (!type) {
+        await cancelUpload(bucket, id, user);
+        throw new UploadError(400, 'Some files could not be uploaded', { file: wrongType(record) });
+    }
+
+    const key = newPhotoKey(type);
+    let written = [];
+    let saved;
+    try {
+        written = (await storePhoto(env, file, key, type.contentType)).keys;
+        saved = await changeUpload(bucket, id, user, current => {
+            current.url = `/api/${key}`;
+            current.completed_at = new Date().toISOString();
+        });
+    } catch (error) {
+        written = written.length > 0 ? written : error.writtenKeys || [];
+        if (written.length > 0) {
+            await bucket.delete(written);
+        }
+        throw error;
+    }
+    await bucket.delete(partsKey(id));
+    return publicUpload(saved);
+}
+
+// Gives up on an upload: its parts, or its photo or clip if it was completed, are deleted
+export async function cancelUpload(bucket, id, user) {
+    const { record } = await readUpload(bucket, id, user);
+    await abortParts(bucket, record);
+    const fileKeys = record.url ? photoObjectKeys(photoKey(record.url)) : [];
+    await bucket.delete([recordKey(id), partsKey(id), ...fileKeys]);
+}
+
+// The photo URLs of the completed uploads `ids`, in that order, for `user` saving the actor
+// `actorId` (null for a new one). Throws if any of them isn't theirs to attach.
+export async function stagedPhotoUrls(bucket, ids, { user, actorId = null }) {
+    return stagedUrls(bucket, ids, { user, actorId, kind: 'photo', field: 'portfolio_uploads' });
+}
+
+// The clip URL of the completed video upload `id`, checked like stagedPhotoUrls
+export async function stagedVideoUrl(bucket, id, { user, actorId }) {
+    const [url] = await stagedUrls(bucket, [id], { user, actorId, kind: 'video', field: 'video_upload' });
+    return url;
+}
+
+// Forgets uploads whose photos a save has attached
+export async function clearUploads(bucket, ids) {
+    if (ids.length === 0) return;
+    await bucket.delete(ids.map(recordKey));
+}
+
+// Every staged upload; the storage check counts completed ones' photos as referenced
+export async function listUploads(bucket) {
+    const keys = (await listAll(bucket, STAGING_PREFIX)).map(object => object.key).filter(key => key.endsWith('.json'));
+
+    const records = await Promise.all(keys.map(async key => {
+        const object = await bucket.get(key);
+        return object && await object.json();
+    }));
+    return records.filter(record => record !== null);
+}
+
+// Drops the uploads started more than STAGED_UPLOAD_TTL_HOURS ago; returns how many there were
+export async function expireUploads(bucket, now = Date.now()) {
+    const cutoff = now - STAGED_UPLOAD_TTL_HOURS * HOUR_MS;
+    const expired = (await listUploads(bucket)).filter(record => Date.parse(record.created_at) <= cutoff);
+    for (const record of expired) {
+        await abortParts(bucket, record);
+        await bucket.delete([recordKey(record.id), partsKey(record.id)]);
+    }
+    return expired.length;
+}
+
+// What the uploader sees: which parts are stored and, once completed, the photo's URL
+function publicUpload(record) {
+    return {
+        id: record.id,
+        actor_id: record.actor_id,
+        kind: uploadKind(record),
+        name: record.name,
+        size: record.size,
+        part_size: STAGED_PART_BYTES,
+        parts: record.parts.map(part => part.part_number),
+        url: record.url,
+        created_at: record.created_at,
+    };
+}
+
+// Uploads staged before clips could be are photos, with their parts under staging/
+async function readUpload(bucket, id, user) {
+    const object = await bucket.get(recordKey(id));
+    const record = object && await object.json();
+    if (!record || record.user !== user) {
+        throw new NotFoundError('Upload not found');
+    }
+    return { record: { ...record, kind: uploadKind(record), key: record.key || partsKey(id) }, etag: object.etag };
+}
+
+function uploadKind(record) {
+    return record.kind || 'photo';
+}
+
+async function stagedUrls(bucket, ids, { user, actorId, kind, field }) {
+    if (!Array.isArray(ids) || ids.some(id => typeof id !== 'string')) {
+        throw new ValidationError(400, 'Some fields are invalid', { [field]: 'Must be a list of upload ids' });
+    }
+    const records = await Promise.all(ids.map(async id => {
+        const object = await bucket.get(recordKey(id));
+        return object && await object.json();
+    }));
+    const unusable = ids.filter((id, index) => {
+        const record = records[index];
+        return !record || record.user !== user || record.actor_id !== actorId || uploadKind(record) !== kind || !record.url;
+    });
+    if (unusable.length > 0) {
+        throw new ValidationError(422, 'Some fields are invalid', {
+            [field]: `Uploads not finished or not found: ${unusable.join(', ')}`,
+        });
+    }
+    return [...new Set(records.map(record => record.url))];
+}
+
+// Starts a clip's multipart upload where it will be served from, once its first part has told
+// what kind of clip it is. Returns { key, upload_id }, or throws while part 1 is still missing.
+async function startClip(bucket, record, type, number) {
+    if (number !== 1) {
+        throw new UploadError(409, 'Upload part 1 first');
+    }
+    const key = newVideoKey(type);
+    const multipart = await bucket.createMultipartUpload(key, { httpMetadata: { contentType: type.contentType } });
+    let started;
+    const saved = await changeUpload(bucket, record.id, record.user, current => {
+        started = !current.upload_id;
+        if (started) {
+            current.key = key;
+            current.upload_id = multipart.uploadId;
+        }
+    });
+    // Another request sent part 1 at the same time and started it first
+    if (!started) {
+        await multipart.abort();
+    }
+    return saved;
+}
+
+async function abortParts(bucket, record) {
+    if (record.url || !record.upload_id) {
+        return;
+    }
+    try {
+        await bucket.resumeMultipartUpload(record.key || partsKey(record.id), record.upload_id).abort();
+    } catch (error) {
+        // Already put together, or already aborted
+    }
+}
+
+function sniffType(record, file) {
+    return record.kind === 'video' ? sniffVideoType(file) : sniffImageType(file);
+}
+
+// Applies `change` to the stored record, retrying if another request wrote it in between (parts
+// of one file can be sent side by side)
+async function changeUpload(bucket, id, user, change) {
+    for (let attempt = 0; attempt < RECORD_RETRIES; attempt++) {
+        const { record, etag } = await readUpload(bucket, id, user);
+        change(record);
+        const saved = await bucket.put(recordKey(id), JSON.stringify(record), {
+            onlyIf: { etagMatches: etag },
+            httpMetadata: { contentType: 'application/json' },
+        });
+        if (saved !== null) {
+            return record;
+        }
+    }
+    throw new UploadError(409, 'Upload is busy, please retry');
+}
+
+function partCount(size) {
+    return Math.max(1, Math.ceil(size / STAGED_PART_BYTES));
+}
+
+function partSize(size, number) {
+    return number < partCount(size) ? STAGED_PART_BYTES : size - STAGED_PART_BYTES * (partCount(size) - 1);
+}
+
+function missingParts(record) {
+    const stored = new Set(record.parts.map(part => part.part_number));
+    return Array.from({ length: partCount(record.size) }, (_, index) => index + 1).filter(number => !stored.has(number));
+}
+
+function wrongType(record) {
+    return record.kind === 'video'
+        ? `"${record.name}" is not an MP4, MOV or WebM video`
+        : `"${record.name}" is not a JPEG, PNG, GIF, WebP or AVIF image`;
+}
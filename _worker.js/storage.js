@@ -0,0 +1,312 @@
+// Actor storage on R2.
+//
+// Each actor lives in its own object (`actors/<id>.json`) and `actors/index.json` holds the
+// ordered list of IDs. Deleted actors move to `trash/actors/<id>.json` until they are purged
+// (see trash.js). Every write is a conditional put against the ETag that was read, so two
+// admins saving at once can't silently overwrite each other: the loser gets a ConflictError
+// carrying the current version of the record.
+//
+// All functions take the R2 bucket binding directly, so they can be exercised against an
+// in-memory stand-in (see test/memory-bucket.mjs).
+
+import { normalizePhoto } from './photos.js';
+import { normalizeWork } from './works.js';
+
+const INDEX_KEY = 'actors/index.json';
+const LEGACY_ACTORS_JSON_KEY = 'actors.json';
+const INDEX_RETRIES = 5;
+const TRASH_PREFIX = 'trash/actors/';
+
+// Only `published` actors are shown on the public site; drafts can be previewed by admins
+export const ACTOR_STATUSES = ['draft', 'published', 'archived'];
+export const DEFAULT_ACTOR_STATUS = 'published';
+
+export class NotFoundError extends Error {
+    constructor(message = 'Actor not found') {
+        super(message);
+        this.name = 'NotFoundError';
+    }
+}
+
+export class ConflictError extends Error {
+    constructor(current, message = 'Actor was modified by someone else') {
+        super(message);
+        this.name = 'ConflictError';
+        this.current = current;
+    }
+}
+
+function actorKey(id) {
+    return `actors/${id}.json`;
+}
+
+function trashKey(id) {
+    return `${TRASH_PREFIX}${id}.json`;
+}
+
+// Every object under `prefix`, through as many list pages as it takes; `options` are passed on
+// to bucket.list (say, `include: ['customMetadata']`)
+export async function listAll(bucket, prefix, options = {}) {
+    const objects = [];
+    let cursor;
+    let listed;
+    do {
+        listed = await bucket.list({ ...options, prefix, cursor });
+        objects.push(...listed.objects);
+        cursor = listed.cursor;
+    } while (listed.truncated);
+    return objects;
+}
+
+// Returns every actor in index order, each with its `version` (the R2 ETag of its record) and
+// its `position` in that order
+export async function listActors(bucket) {
+    const { ids } = await readIndex(bucket);
+    const actors = await Promise.all(ids.map(id => getActor(bucket, id)));
+    return actors
+        .filter(actor => actor !== null)
+        .map((actor, position) => ({ ...actor, position }));
+}
+
+export async function getActor(bucket, id) {
+    const object = await bucket.get(actorKey(id));
+    if (object === null) {
+        return null;
+    }
+    return withVersion(normalizeActor(await object.json()), object.etag);
+}
+
+export async function createActor(bucket, actor) {
+    const now = new Date().toISOString();
+    const record = { ...stripVersion(actor), created_at: now, updated_at: now };
+    const saved = await bucket.put(actorKey(actor.id), JSON.stringify(record), {
+        onlyIf: { etagDoesNotMatch: '*' },
+        httpMetadata: { contentType: 'application/json' },
+    });
+    if (saved === null) {
+        throw new ConflictError(await getActor(bucket, actor.id), 'An actor with this id already exists');
+    }
+
+    try {
+        await updateIndex(bucket, ids => (ids.includes(actor.id) ? ids : [...ids, actor.id]));
+    } catch (error) {
+        await bucket.delete(actorKey(actor.id));
+        throw error;
+    }
+
+    return withVersion(record, saved.etag);
+}
+
+// Applies `mutate` to a copy of the stored actor and writes it back only if nobody else has
+// written in between. Pass the `version` the editor loaded to also reject edits made on top of
+// a stale copy.
+export async function updateActor(bucket, id, mutate, { version } = {}) {
+    const current = await getActor(bucket, id);
+    if (current === null) {
+        throw new NotFoundError();
+    }
+    if (version && version !== current.version) {
+        throw new ConflictError(current);
+    }
+
+    const next = stripVersion(await mutate(structuredClone(stripVersion(current))));
+    next.id = id;
+    next.updated_at = new Date().toISOString();
+
+    const saved = await bucket.put(actorKey(id), JSON.stringify(next), {
+        onlyIf: { etagMatches: current.version },
+        httpMetadata: { contentType: 'application/json' },
+    });
+    if (saved === null) {
+        throw new ConflictError(await getActor(bucket, id));
+    }
+
+    return withVersion(next, saved.etag);
+}
+
+// Moves the actor to the trash: the record is copied under trash/ together with when, by whom
+// and from which carousel position it was deleted, then taken out of the index. Its photos are
+// left alone. Returns the deleted actor.
+export async function trashActor(bucket, id, { version, user } = {}) {
+    const current = await getActor(bucket, id);
+    if (current === null) {
+        throw new NotFoundError();
+    }
+    if (version && version !== current.version) {
+        throw new ConflictError(current);
+    }
+
+    const { ids } = await readIndex(bucket);
+    await bucket.put(trashKey(id), JSON.stringify({
+        ...stripVersion(current),
+        deleted_at: new Date().toISOString(),
+        deleted_by: user || null,
+        deleted_position: ids.indexOf(id),
+    }), {
+        httpMetadata: { contentType: 'application/json' },
+    });
+    await updateIndex(bucket, ids => ids.filter(existingId => existingId !== id));
+    await bucket.delete(actorKey(id));
+
+    return current;
+}
+
+// Every actor in the trash, most recently deleted first
+export async function listTrashedActors(bucket) {
+    const keys = (await listAll(bucket, TRASH_PREFIX)).map(object => object.key);
+
+    const actors = await Promise.all(keys.map(async key => {
+        const object = await bucket.get(key);
+        return object === null ? null : normalizeActor(await object.json());
+    }));
+    return actors
+        .filter(actor => actor !== null)
+        .sort((a, b) => b.deleted_at.localeCompare(a.deleted_at));
+}
+
+// Puts a trashed actor back into the roster at the position it was deleted from
+export async function restoreTrashedActor(bucket, id) {
+    const object = await bucket.get(trashKey(id));
+    if (object === null) {
+        throw new NotFoundError('Actor is not in the trash');
+    }
+    const { deleted_at, deleted_by, deleted_position, ...record } = await object.json();
+    record.updated_at = new Date().toISOString();
+
+    const saved = await bucket.put(actorKey(id), JSON.stringify(record), {
+        onlyIf: { etagDoesNotMatch: '*' },
+        httpMetadata: { contentType: 'application/json' },
+    });
+    if (saved === null) {
+        throw new ConflictError(await getActor(bucket, id), 'An actor with this id already exists');
+    }
+    await updateIndex(bucket, ids => {
+        if (ids.includes(id)) return ids;
+        const position = deleted_position >= 0 ? Math.min(deleted_position, ids.length) : ids.length;
+        return [...ids.slice(0, position), id, ...ids.slice(position)];
+    });
+    await bucket.delete(trashKey(id));
+
+    return getActor(bucket, id);
+}
+
+// Removes a trashed actor's record for good; the caller deletes its photos
+export async function deleteTrashedActor(bucket, id) {
+    await bucket.delete(trashKey(id));
+}
+
+// Moves actors into the given order. IDs that aren't in the index are ignored, and actors left
+// out of `orderedIds` keep their relative order after the ones that were listed.
+export async function reorderActors(bucket, orderedIds) {
+    await updateIndex(bucket, ids => {
+        const known = new Set(ids);
+        const listed = [...new Set(orderedIds)].filter(id => known.has(id));
+        const rest = ids.filter(id => !listed.includes(id));
+        return [...listed, ...rest];
+    });
+    return listActors(bucket);
+}
+
+// Writes restored actor records as they are (timestamps included) and updates the index. With
+// `replace` the roster becomes exactly `actors`, in that order, and the actors left out go to the
+// trash as deleted by `user`, so a wrong backup or snapshot can be undone; otherwise existing
+// actors keep their place and new ones are added after them. Records are written
+// unconditionally, so the caller should take a snapshot first (see backups.js).
+export async function importActors(bucket, actors, { replace = false, user = null } = {}) {
+    const importedIds = actors.map(actor => actor.id);
+    if (replace) {
+        const { ids } = await readIndex(bucket);
+        for (const id of ids.filter(existingId => !importedIds.includes(existingId))) {
+            try {
+                await trashActor(bucket, id, { user });
+            } catch (error) {
+                // An index entry whose record is already gone has nothing to keep
+                if (!(error instanceof NotFoundError)) throw error;
+            }
+        }
+    }
+    await Promise.all(actors.map(actor =>
+        bucket.put(actorKey(actor.id), JSON.stringify(stripVersion(actor)), {
+            httpMetadata: { contentType: 'application/json' },
+        })
+    ));
+
+    await updateIndex(bucket, ids => (replace ? importedIds : [...ids, ...importedIds.filter(id => !ids.includes(id))]));
+
+    return listActors(bucket);
+}
+
+// Reads the index, migrating the legacy single `actors.json` blob on first use
+async function readIndex(bucket) {
+    const object = await bucket.get(INDEX_KEY);
+    if (object !== null) {
+        const index = await object.json();
+        return { ids: index.ids || [], etag: object.etag };
+    }
+
+    const migrated = await migrateLegacyActors(bucket);
+    if (migrated) {
+        return readIndex(bucket);
+    }
+    return { ids: [], etag: null };
+}
+
+// Index changes are small and commutative (add or remove one id), so on a conflict we simply
+// re-read the index and apply the change again
+async function updateIndex(bucket, change) {
+    for (let attempt = 0; attempt < INDEX_RETRIES; attempt++) {
+        const { ids, etag } = await readIndex(bucket);
+        const onlyIf = etag ? { etagMatches: etag } : { etagDoesNotMatch: '*' };
+        const saved = await bucket.put(INDEX_KEY, JSON.stringify({ ids: change(ids) }), {
+            onlyIf,
+            httpMetadata: { contentType: 'application/json' },
+        });
+        if (saved !== null) {
+            return;
+        }
+    }
+    throw new ConflictError(null, 'Actor index is busy, please retry');
+}
+
+async function migrateLegacyActors(bucket) {
+    const legacy = await bucket.get(LEGACY_ACTORS_JSON_KEY);
+    if (legacy === null) {
+        return false;
+    }
+
+    const actors = await legacy.json();
+    await Promise.all(actors.map(actor =>
+        bucket.put(actorKey(actor.id), JSON.stringify(actor), {
+            onlyIf: { etagDoesNotMatch: '*' },
+            httpMetadata: { contentType: 'application/json' },
+        })
+    ));
+    // Another request may have finished the migration first; either way the index now exists.
+    // The legacy blob is left in place as a backup and is no longer written to.
+    await bucket.put(INDEX_KEY, JSON.stringify({ ids: actors.map(actor => actor.id) }), {
+        onlyIf: { etagDoesNotMatch: '*' },
+        httpMetadata: { contentType: 'application/json' },
+    });
+    return true;
+}
+
+// Upgrades records written by older versions of the admin
+function normalizeActor(actor) {
+    return {
+        ...actor,
+        status: ACTOR_STATUSES.includes(actor.status) ? actor.status : DEFAULT_ACTOR_STATUS,
+        photos: (actor.photos || []).map(normalizePhoto),
+        videos: Array.isArray(actor.videos) ? actor.videos : [],
+        works: (actor.works || []).map(normalizeWork),
+    };
+}
+
+function withVersion(actor, version) {
+    return { ...actor, version };
+}
+
+// `version` and `position` are derived when reading and never stored in the record
+function stripVersion(actor) {
+    const { version, position, ...record } = actor;
+    return record;
+}
@@ -0,0 +1,193 @@
+// Trash bin for deleted actors, photos and videos.
+//
+// Nothing an admin deletes is removed from R2 straight away. A deleted actor moves to
+// `trash/actors/` with its photos (see storage.js); a photo taken off an actor gets an entry in
+// `trash/photos/` remembering which actor it belonged to and how it was captioned. So does a
+// video, with its poster as the entry's `url` and the rest of it, clip included, as `video`. All are
+// gone from the public site but can be restored until they are purged, by hand or once they
+// have been in the trash for TRASH_RETENTION_DAYS. Purging is the only place photo objects
+// are deleted.
+
+import {
+    ConflictError,
+    NotFoundError,
+    deleteTrashedActor,
+    listActors,
+    listAll,
+    listTrashedActors,
+    updateActor,
+} from './storage.js';
+import { photoObjectKeys } from './images.js';
+import { actorPhotoUrls, normalizePhoto, photoKey } from './photos.js';
+import { actorVideoUrls } from './videos.js';
+import { snapshotUrls } from './backups.js';
+import { listPosts } from './posts.js';
+
+export const TRASH_RETENTION_DAYS = 30;
+
+const PHOTO_TRASH_PREFIX = 'trash/photos/';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function photoTrashKey(id) {
+    return `${PHOTO_TRASH_PREFIX}${id}.json`;
+}
+
+// Moves photos `actor` no longer uses to the trash. `actor` is the record from before the
+// change, so each entry keeps the photo's caption, credit, alt text and tags (`photo` is null
+// for a main photo that wasn't also in the portfolio).
+export async function trashPhotos(bucket, actor, urls, user) {
+    await putTrashEntries(bucket, actor, urls.map(url => ({
+        url,
+        photo: actor.photos.find(photo => photo.url === url) || null,
+        was_main_photo: actor.main_photo === url,
+    })), user);
+}
+
+// Moves videos taken off `actor` to the trash, poster and (for an uploaded one) clip
+export async function trashVideos(bucket, actor, videos, user) {
+    await putTrashEntries(bucket, actor, videos.map(video => ({
+        url: video.poster,
+        photo: null,
+        video,
+        was_main_photo: false,
+    })), user);
+}
+
+// The URLs of the objects a trashed photo or video entry keeps: the photo or poster, and a clip
+export function trashEntryUrls(entry) {
+    return [entry.url, ...actorVideoUrls({ videos: entry.video ? [entry.video] : [] })];
+}
+
+// { actors, photos }, each most recently deleted first
+export async function listTrash(bucket) {
+    const [actors, photos] = await Promise.all([listTrashedActors(bucket), listTrashedPhotos(bucket)]);
+    return { actors, photos };
+}
+
+// Gives a trashed photo back to its actor: at the end of the portfolio if it was in it, and
+// as the main photo if it was one and the actor has none now (otherwise it joins the portfolio
+// so it isn't lost). A trashed video goes back at the end of the actor's videos. Returns the
+// actor as it was before and after.
+export async function restoreTrashedPhoto(bucket, id) {
+    const entry = await getTrashedPhoto(bucket, id);
+    if (entry === null) {
+        throw new NotFoundError('Photo is not in the trash');
+    }
+
+    let previous = null;
+    let actor;
+    try {
+        actor = await updateActor(bucket, entry.actor_id, existingActor => {
+            previous = structuredClone(existingActor);
+            if (entry.video) {
+                if (!existingActor.videos.some(video => video.id === entry.video.id)) {
+                    existingActor.videos.push(entry.video);
+                }
+                return existingActor;
+            }
+            const restoreAsMain = entry.was_main_photo && !existingActor.main_photo;
+            if (restoreAsMain) {
+                existingActor.main_photo = entry.url;
+            }
+            if ((entry.photo || !restoreAsMain) && !existingActor.photos.some(photo => photo.url === entry.url)) {
+                existingActor.photos.push(entry.photo || normalizePhoto(entry.url));
+            }
+            return existingActor;
+        });
+    } catch (error) {
+        if (error instanceof NotFoundError) {
+            throw new ConflictError(null, `${entry.actor_name} is not in the roster; restore the actor first`);
+        }
+        throw error;
+    }
+
+    await bucket.delete(photoTrashKey(id));
+    return { previous, actor };
+}
+
+// Permanently deletes trashed actors and photos: the ones listed in `actorIds`/`photoIds`, or
+// when neither is given, everything deleted more than `olderThanDays` ago. Photo objects still
+// referenced elsewhere are kept, only their trash entry goes: by a roster actor (e.g. after a
+// restore from the audit log), a blog post's cover or a stored snapshot, which restoring would
+// bring back (the same references the storage check counts, see health.js). Returns what was
+// purged.
+export async function purgeTrash(bucket, { actorIds, photoIds, olderThanDays = TRASH_RETENTION_DAYS } = {}) {
+    const { actors, photos } = await listTrash(bucket);
+    const byIds = Boolean(actorIds || photoIds);
+    const cutoff = Date.now() - olderThanDays * DAY_MS;
+    const selected = (item, ids) => (byIds ? (ids || []).includes(item.id) : Date.parse(item.deleted_at) <= cutoff);
+
+    const purgedActors = actors.filter(actor => selected(actor, actorIds));
+    const purgedPhotos = photos.filter(entry => selected(entry, photoIds));
+
+    // Everything still in use, in the roster, by posts and snapshots or by trash that stays
+    const [roster, posts, snapshotted] = await Promise.all([listActors(bucket), listPosts(bucket), snapshotUrls(bucket)]);
+    const kept = new Set([
+        ...roster.flatMap(storedUrls),
+        ...posts.filter(post => post.cover).map(post => post.cover),
+        ...snapshotted,
+        ...actors.filter(actor => !purgedActors.includes(actor)).flatMap(storedUrls),
+        ...photos.filter(entry => !purgedPhotos.includes(entry)).flatMap(trashEntryUrls),
+    ]);
+    const urls = new Set([
+        ...purgedActors.flatMap(storedUrls),
+        ...purgedPhotos.flatMap(trashEntryUrls),
+    ]);
+    const keys = [...urls].filter(url => !kept.has(url)).flatMap(url => photoObjectKeys(photoKey(url)));
+
+    // R2 deletes at most 1000 keys per call
+    for (let start = 0; start < keys.length; start += 1000) {
+        await bucket.delete(keys.slice(start, start + 1000));
+    }
+    await Promise.all(purgedActors.map(actor => deleteTrashedActor(bucket, actor.id)));
+    if (purgedPhotos.length > 0) {
+        await bucket.delete(purgedPhotos.map(entry => photoTrashKey(entry.id)));
+    }
+
+    return {
+        actors: purgedActors.map(actor => ({ id: actor.id, name: actor.name })),
+        photos: purgedPhotos.length,
+    };
+}
+
+async function putTrashEntries(bucket, actor, entries, user) {
+    const deletedAt = new Date().toISOString();
+    await Promise.all(entries.map(fields => {
+        const entry = {
+            id: crypto.randomUUID(),
+            ...fields,
+            actor_id: actor.id,
+            actor_name: actor.name,
+            deleted_at: deletedAt,
+            deleted_by: user || null,
+        };
+        return bucket.put(photoTrashKey(entry.id), JSON.stringify(entry), {
+            httpMetadata: { contentType: 'application/json' },
+        });
+    }));
+}
+
+async function listTrashedPhotos(bucket) {
+    const keys = (await listAll(bucket, PHOTO_TRASH_PREFIX)).map(object => object.key);
+
+    const entries = await Promise.all(keys.map(async key => {
+        const object = await bucket.get(key);
+        return object === null ? null : object.json();
+    }));
+    return entries
+        .filter(entry => entry !== null)
+        .sort((a, b) => b.deleted_at.localeCompare(a.deleted_at));
+}
+
+async function getTrashedPhoto(bucket, id) {
+    if (!/^[0-9a-f-]{36}$/.test(id)) {
+        return null;
+    }
+    const object = await bucket.get(photoTrashKey(id));
+    return object === null ? null : object.json();
+}
+
+// Photos and uploaded video clips; a clip has no variants, so its extra keys are never there
+function storedUrls(actor) {
+    return [...actorPhotoUrls(actor), ...actorVideoUrls(actor)];
+}
@@ -0,0 +1,100 @@
+// Validation for uploaded photos.
+//
+// The browser-supplied `file.type` and `file.name` are never trusted: the format is decided by
+// the file's magic bytes, and R2 keys are generated from a UUID and that sniffed format.
+
+export const MAX_FILE_BYTES = 15 * 1024 * 1024;
+export const MAX_REQUEST_BYTES = 60 * 1024 * 1024;
+
+const IMAGE_SIGNATURES = [
+    { contentType: 'image/jpeg', extension: 'jpg', matches: bytes => startsWith(bytes, [0xFF, 0xD8, 0xFF]) },
+    { contentType: 'image/png', extension: 'png', matches: bytes => startsWith(bytes, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]) },
+    { contentType: 'image/gif', extension: 'gif', matches: bytes => ascii(bytes, 0, 6) === 'GIF87a' || ascii(bytes, 0, 6) === 'GIF89a' },
+    { contentType: 'image/webp', extension: 'webp', matches: bytes => ascii(bytes, 0, 4) === 'RIFF' && ascii(bytes, 8, 12) === 'WEBP' },
+    { contentType: 'image/avif', extension: 'avif', matches: bytes => ascii(bytes, 4, 8) === 'ftyp' && ['avif', 'avis'].includes(ascii(bytes, 8, 12)) },
+];
+
+export const ALLOWED_IMAGE_TYPES = IMAGE_SIGNATURES.map(signature => signature.contentType);
+
+// Thrown when an upload is rejected. `fields` maps form field names to messages so the admin
+// page can show each one next to the input that caused it.
+export class UploadError extends Error {
+    constructor(status, message, fields = {}) {
+        super(message);
+        this.name = 'UploadError';
+        this.status = status;
+        this.fields = fields;
+    }
+}
+
+export function isFile(value) {
+    return Boolean(value) && typeof value !== 'string' && value.size > 0;
+}
+
+// Rejects oversized requests before the body is read
+export function checkRequestSize(request, maxBytes = MAX_REQUEST_BYTES) {
+    const length = Number(request.headers.get('Content-Length'));
+    if (length > maxBytes) {
+        throw new UploadError(413, `Request is larger than ${megabytes(maxBytes)} MB`);
+    }
+}
+
+// Checks every file in the given form fields. Returns a Map of file -> sniffed image type
+// ({ contentType, extension }), or throws an UploadError listing every field that failed.
+export async function validatePhotoFields(formData, fieldNames) {
+    const types = new Map();
+    const fields = {};
+    let status = 400;
+    let totalBytes = 0;
+
+    for (const field of fieldNames) {
+        for (const file of formData.getAll(field)) {
+            if (!isFile(file)) continue;
+            totalBytes += file.size;
+
+            if (file.size > MAX_FILE_BYTES) {
+                fields[field] = `"${file.name}" is larger than ${megabytes(MAX_FILE_BYTES)} MB`;
+                status = 413;
+                continue;
+            }
+
+            const type = await sniffImageType(file);
+            if (!type) {
+                fields[field] = `"${file.name}" is not a JPEG, PNG, GIF, WebP or AVIF image`;
+                continue;
+            }
+            types.set(file, type);
+        }
+    }
+
+    if (Object.keys(fields).length > 0) {
+        throw new UploadError(status, 'Some files could not be uploaded', fields);
+    }
+    if (totalBytes > MAX_REQUEST_BYTES) {
+        throw new UploadError(413, `Uploads are larger than ${megabytes(MAX_REQUEST_BYTES)} MB in total`);
+    }
+    return types;
+}
+
+export async function sniffImageType(file) {
+    const bytes = new Uint8Array(await file.slice(0, 16).arrayBuffer());
+    const signature = IMAGE_SIGNATURES.find(candidate => candidate.matches(bytes));
+    return signature ? { contentType: signature.contentType, extension: signature.extension } : null;
+}
+
+// A fresh R2 key for a photo; the user's filename is deliberately not part of it
+export function newPhotoKey(type) {
+    return `photos/${crypto.randomUUID()}.${type.extension}`;
+}
+
+function startsWith(bytes, prefix) {
+    return prefix.every((byte, index) => bytes[index] === byte);
+}
+
+function ascii(bytes, start, end) {
+    return String.fromCharCode(...bytes.subarray(start, end));
+}
+
+function megabytes(bytes) {
+    return Math.round(bytes / (1024 * 1024));
+}
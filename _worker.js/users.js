@@ -0,0 +1,261 @@
+// Admin accounts and roles.
+//
+//   owner    everything, including managing accounts
+//   editor   every actor, the blog, the inbox, the trash and backup downloads, but nothing that
+//            deletes for good: no deleting actors or blog posts, purging the trash, or
+//            importing/restoring backups
+//   manager  only the actors assigned to them (`actor_ids`): editing them and their history
+//
+// The account from env.ADMIN_USERNAME / ADMIN_PASSWORD is always an owner, so there is a way in
+// before any other account exists. Other accounts are stored under `users/` as
+// { username, role, actor_ids, password, invite, session_generation, created_at, updated_at }.
+// An owner creates one as an invitation; the invitee follows a one-time link to choose their
+// password, and a new link can be sent later to reset it. Roles are looked up on every request,
+// so a change applies to sessions that are already signed in. A reset clears the password and
+// bumps `session_generation`, which signs out every session made before it.
+
+import { hashPassword, randomToken, safeEqual, sha256, verifyPassword } from './auth.js';
+import { ConflictError, NotFoundError, listAll } from './storage.js';
+import { ValidationError } from './schema.js';
+
+export const ROLES = ['owner', 'editor', 'manager'];
+
+const ROLE_PERMISSIONS = {
+    owner: [
+        'actors.create', 'actors.edit', 'actors.delete', 'actors.reorder', 'posts', 'posts.delete',
+        'inbox', 'audit', 'trash', 'trash.purge', 'backups.export', 'backups.import', 'storage', 'users',
+    ],
+    editor: ['actors.create', 'actors.edit', 'actors.reorder', 'posts', 'inbox', 'audit', 'trash', 'backups.export'],
+    manager: ['actors.edit', 'audit'],
+};
+
+// The permissions a manager only has for their own actors
+const ACTOR_SCOPED_PERMISSIONS = ['actors.edit', 'audit'];
+
+const USER_PREFIX = 'users/';
+const USERNAME_PATTERN = /^[a-z0-9._-]{3,40}$/;
+const MIN_PASSWORD_LENGTH = 10;
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+export class ForbiddenError extends Error {
+    constructor(message = 'You are not allowed to do that') {
+        super(message);
+        this.name = 'ForbiddenError';
+    }
+}
+
+function userKey(username) {
+    return `${USER_PREFIX}${username}.json`;
+}
+
+// What `user` may do; a manager's `actors.edit` and `audit` only cover their own actors
+export function permissionsOf(user) {
+    return ROLE_PERMISSIONS[user.role] || [];
+}
+
+// Whether `user` has `permission`, for the actor `actorId` when the action concerns one
+// (null when it should but none was given, which a manager isn't allowed)
+export function can(user, permission, actorId) {
+    if (!permissionsOf(user).includes(permission)) {
+        return false;
+    }
+    if (user.role !== 'manager' || !ACTOR_SCOPED_PERMISSIONS.includes(permission)) {
+        return true;
+    }
+    return Boolean(actorId) && user.actor_ids.includes(actorId);
+}
+
+export function authorize(user, permission, actorId) {
+    if (!can(user, permission, actorId)) {
+        throw new ForbiddenError();
+    }
+}
+
+// The signed-in user behind a session, or null once their account is gone
+export async function findAdminUser(env, username) {
+    if (username === env.ADMIN_USERNAME) {
+        return builtinOwner(env);
+    }
+    const user = await getUser(env.R2_BUCKET, username);
+    return user && user.password ? user : null;
+}
+
+// The account a session (see auth.js) belongs to, or null once it was deleted or its sessions
+// were ended by a password reset
+export async function findSessionUser(env, session) {
+    const user = session && await findAdminUser(env, session.sub);
+    return user && sessionGeneration(user) === (session.gen || 0) ? user : null;
+}
+
+export function sessionGeneration(user) {
+    return user.session_generation || 0;
+}
+
+// The account matching the credentials, or null
+export async function authenticate(env, { username, password }) {
+    const usernameOk = await safeEqual(env, username || '', env.ADMIN_USERNAME);
+    const passwordOk = await safeEqual(env, password || '', env.ADMIN_PASSWORD);
+    if (usernameOk && passwordOk) {
+        return builtinOwner(env);
+    }
+    const user = await getUser(env.R2_BUCKET, String(username || '').toLowerCase());
+    return user && await verifyPassword(password || '', user.password) ? user : null;
+}
+
+export async function getUser(bucket, username) {
+    if (!USERNAME_PATTERN.test(username)) return null;
+    const object = await bucket.get(userKey(username));
+    return object === null ? null : withVersion(await object.json(), object.etag);
+}
+
+// Every stored account, by username; the built-in owner comes first
+export async function listUsers(env) {
+    const keys = (await listAll(env.R2_BUCKET, USER_PREFIX)).map(object => object.key);
+
+    const users = await Promise.all(keys.map(async key => {
+        const object = await env.R2_BUCKET.get(key);
+        return object === null ? null : object.json();
+    }));
+    return [
+        builtinOwner(env),
+        ...users.filter(user => user !== null).sort((a, b) => a.username.localeCompare(b.username)),
+    ];
+}
+
+// Creates an invited account; returns { user, token } where `token` goes into the invite link
+export async function createUser(env, values) {
+    const fields = validateUser(values);
+    if (fields.username === env.ADMIN_USERNAME) {
+        throw new ValidationError(422, 'Some fields are invalid', { username: 'Already taken' });
+    }
+    const now = new Date().toISOString();
+    const { invite, token } = await newInvite(fields.username);
+    const user = { ...fields, password: null, invite, created_at: now, updated_at: now };
+    const saved = await env.R2_BUCKET.put(userKey(user.username), JSON.stringify(user), {
+        onlyIf: { etagDoesNotMatch: '*' },
+        httpMetadata: { contentType: 'application/json' },
+    });
+    if (saved === null) {
+        throw new ValidationError(422, 'Some fields are invalid', { username: 'Already taken' });
+    }
+    return { user: withVersion(user, saved.etag), token };
+}
+
+// Changes an account's role and actors; `mutate` gets the stored record and returns it changed
+export async function updateUser(bucket, username, mutate) {
+    const object = await bucket.get(userKey(username));
+    if (object === null) {
+        throw new NotFoundError('User not found');
+    }
+    const user = await mutate(await object.json());
+    user.updated_at = new Date().toISOString();
+    const saved = await bucket.put(userKey(username), JSON.stringify(stripVersion(user)), {
+        onlyIf: { etagMatches: object.etag },
+        httpMetadata: { contentType: 'application/json' },
+    });
+    if (saved === null) {
+        throw new ConflictError(await getUser(bucket, username), 'User was modified by someone else');
+    }
+    return withVersion(user, saved.etag);
+}
+
+export async function deleteUser(bucket, username) {
+    const user = await getUser(bucket, username);
+    if (!user) {
+        throw new NotFoundError('User not found');
+    }
+    await bucket.delete(userKey(username));
+    return user;
+}
+
+// A new invite link for an account, replacing any earlier one; also how a password is reset
+export async function reinviteUser(bucket, username) {
+    let token;
+    const user = await updateUser(bucket, username, async user => {
+        const created = await newInvite(username);
+        token = created.token;
+        return { ...user, password: null, invite: created.invite, session_generation: sessionGeneration(user) + 1 };
+    });
+    return { user, token };
+}
+
+// Sets the password of the account the invite is for and uses the invite up
+export async function acceptInvite(bucket, token, password) {
+    const value = String(token || '');
+    const separator = value.lastIndexOf('.');
+    const username = separator > 0 ? value.slice(0, separator) : '';
+    const user = await getUser(bucket, username);
+    const valid = user && user.invite
+        && Date.parse(user.invite.expires) > Date.now()
+        && await sha256(value) === user.invite.hash;
+    if (!valid) {
+        throw new ValidationError(400, 'This invitation link is invalid or has expired', { token: 'Invalid or expired' });
+    }
+    const secret = String(password || '');
+    if (secret.length < MIN_PASSWORD_LENGTH) {
+        throw new ValidationError(422, 'Some fields are invalid', { password: `Must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+    const hashed = await hashPassword(secret);
+    return updateUser(bucket, username, stored => ({ ...stored, password: hashed, invite: null }));
+}
+
+// Checks { username, role, actor_ids }; with `partial`, only the fields given
+export function validateUser(values, { partial = false } = {}) {
+    const fields = {};
+    const user = {};
+    if (!partial || values.username !== undefined) {
+        user.username = String(values.username || '').trim().toLowerCase();
+        if (!USERNAME_PATTERN.test(user.username)) {
+            fields.username = '3-40 lowercase letters, digits, ".", "_" or "-"';
+        }
+    }
+    if (!partial || values.role !== undefined) {
+        user.role = values.role;
+        if (!ROLES.includes(user.role)) {
+            fields.role = `Must be one of: ${ROLES.join(', ')}`;
+        }
+    }
+    if (!partial || values.actor_ids !== undefined) {
+        const ids = values.actor_ids ?? [];
+        if (!Array.isArray(ids) || ids.some(id => typeof id !== 'string')) {
+            fields.actor_ids = 'Must be a list of actor ids';
+        } else {
+            user.actor_ids = [...new Set(ids)];
+        }
+    }
+    if (Object.keys(fields).length > 0) {
+        throw new ValidationError(422, 'Some fields are invalid', fields);
+    }
+    return user;
+}
+
+// An account as the API shows it: no password hash or invite secret
+export function publicUser(user) {
+    const { password, invite, session_generation: generation, ...rest } = user;
+    return {
+        ...rest,
+        status: user.builtin || password ? 'active' : 'invited',
+        invite_expires: invite ? invite.expires : null,
+    };
+}
+
+function builtinOwner(env) {
+    return { username: env.ADMIN_USERNAME, role: 'owner', actor_ids: [], builtin: true };
+}
+
+async function newInvite(username) {
+    const token = `${username}.${randomToken()}`;
+    return {
+        token,
+        invite: { hash: await sha256(token), expires: new Date(Date.now() + INVITE_TTL_MS).toISOString() },
+    };
+}
+
+function withVersion(user, version) {
+    return { ...user, version };
+}
+
+function stripVersion(user) {
+    const { version, ...record } = user;
+    return record;
+}
@@ -0,0 +1,180 @@
+// Actor videos (showreels).
+//
+// `actor.videos` is an ordered list of { id, title, poster, source, url, embed_url }:
+//   source 'upload'            a clip stored in R2 under videos/, served by /api/videos/<name>
+//                              with Range support so it can stream and seek. It is uploaded in
+//                              parts beforehand (see staging.js), never in the form itself.
+//   source 'youtube' | 'vimeo' an external video; the link the admin pasted is checked and
+//                              normalised to the provider's embed URL
+// `embed_url` is what the site opens in its video popup. Every video has a title and a poster
+// image; posters are ordinary photos (see images.js), so they get resized variants too.
+//
+// Clips are not part of backup archives (they are usually far larger than the photos). A
+// removed video goes to the trash with its clip and poster, like a removed photo (see trash.js).
+
+import { MAX_FILE_BYTES, isFile } from './uploads.js';
+import { ValidationError } from './schema.js';
+import { containsMarkup, stripMarkup } from './markup.js';
+
+export const MAX_VIDEO_BYTES = 95 * 1024 * 1024;
+// The add-video form only carries the poster; the clip itself is staged in parts
+export const MAX_VIDEO_REQUEST_BYTES = MAX_FILE_BYTES + 1024 * 1024;
+const MAX_TITLE_LENGTH = 200;
+const VIDEO_URL_PATTERN = /^\/api\/videos\/[A-Za-z0-9._-]+$/;
+const POSTER_URL_PATTERN = /^\/api\/photos\/[A-Za-z0-9._-]+$/;
+
+const MP4_BRANDS = ['isom', 'iso2', 'iso4', 'iso5', 'iso6', 'mp41', 'mp42', 'avc1', 'M4V ', 'dash'];
+
+const VIDEO_SIGNATURES = [
+    { contentType: 'video/mp4', extension: 'mp4', matches: bytes => ascii(bytes, 4, 8) === 'ftyp' && MP4_BRANDS.includes(ascii(bytes, 8, 12)) },
+    { contentType: 'video/quicktime', extension: 'mov', matches: bytes => ascii(bytes, 4, 8) === 'ftyp' && ascii(bytes, 8, 12) === 'qt  ' },
+    { contentType: 'video/webm', extension: 'webm', matches: bytes => [0x1A, 0x45, 0xDF, 0xA3].every((byte, index) => bytes[index] === byte) },
+];
+
+export const ALLOWED_VIDEO_TYPES = VIDEO_SIGNATURES.map(signature => signature.contentType);
+
+// Video form fields: `title`, a `poster` image and either the id of a completed clip upload
+// (`video_upload`) or a YouTube/Vimeo `url`. Returns { title, external, upload } with either
+// the link already normalised (external) or the upload id; throws with every problem keyed by
+// field.
+export function readVideoForm(formData) {
+    const fields = {};
+    const title = String(formData.get('title') || '').trim();
+    if (!title) {
+        fields.title = 'Required';
+    } else if (title.length > MAX_TITLE_LENGTH) {
+        fields.title = `Must be at most ${MAX_TITLE_LENGTH} characters`;
+    } else if (containsMarkup(title)) {
+        fields.title = 'Must not contain HTML tags';
+    }
+    if (!isFile(formData.get('poster'))) {
+        fields.poster = 'Required';
+    }
+
+    const upload = String(formData.get('video_upload') || '').trim();
+    const link = String(formData.get('url') || '').trim();
+    let external = null;
+    if (Boolean(upload) === Boolean(link)) {
+        fields.video_upload = 'Upload a clip or give a YouTube/Vimeo link, not both';
+    } else if (link) {
+        external = externalVideo(link);
+        if (!external) {
+            fields.url = 'Must be a YouTube or Vimeo video link';
+        }
+    }
+
+    if (Object.keys(fields).length > 0) {
+        throw new ValidationError(422, 'Some fields are invalid', fields);
+    }
+    return { title, external, upload: external ? null : upload };
+}
+
+// A YouTube or Vimeo link in any of its usual shapes, as { source, url, embed_url }, or null
+export function externalVideo(link) {
+    let url;
+    try {
+        url = new URL(link);
+    } catch (error) {
+        return null;
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+        return null;
+    }
+    const host = url.hostname.replace(/^(www|m)\./, '');
+    const path = url.pathname.split('/').filter(Boolean);
+
+    let youtubeId = null;
+    if (host === 'youtu.be') {
+        youtubeId = path[0];
+    } else if (['youtube.com', 'youtube-nocookie.com'].includes(host)) {
+        youtubeId = path[0] === 'watch' ? url.searchParams.get('v') : ['embed', 'shorts', 'live', 'v'].includes(path[0]) && path[1];
+    }
+    if (youtubeId && /^[\w-]{11}$/.test(youtubeId)) {
+        return {
+            source: 'youtube',
+            url: `https://www.youtube.com/watch?v=${youtubeId}`,
+            embed_url: `https://www.youtube-nocookie.com/embed/${youtubeId}`,
+        };
+    }
+
+    if (host === 'vimeo.com' || host === 'player.vimeo.com') {
+        // vimeo.com/<id>[/<hash>], vimeo.com/channels/<name>/<id>, player.vimeo.com/video/<id>?h=<hash>
+        const index = path.findIndex(part => /^\d+$/.test(part));
+        if (index !== -1) {
+            const id = path[index];
+            const hash = url.searchParams.get('h') || (/^[0-9a-f]+$/i.test(path[index + 1] || '') ? path[index + 1] : '');
+            const query = hash ? `?h=${hash}` : '';
+            return {
+                source: 'vimeo',
+                url: `https://vimeo.com/${id}${hash ? `/${hash}` : ''}`,
+                embed_url: `https://player.vimeo.com/video/${id}${query}`,
+            };
+        }
+    }
+    return null;
+}
+
+export async function sniffVideoType(file) {
+    const bytes = new Uint8Array(await file.slice(0, 16).arrayBuffer());
+    const signature = VIDEO_SIGNATURES.find(candidate => candidate.matches(bytes));
+    return signature ? { contentType: signature.contentType, extension: signature.extension } : null;
+}
+
+// A fresh R2 key for an uploaded clip; like photos, never derived from the filename
+export function newVideoKey(type) {
+    return `videos/${crypto.randomUUID()}.${type.extension}`;
+}
+
+export function newVideo({ title, poster, external, key }) {
+    const url = external ? external.url : `/api/${key}`;
+    return {
+        id: crypto.randomUUID(),
+        title,
+        poster,
+        source: external ? external.source : 'upload',
+        url,
+        embed_url: external ? external.embed_url : url,
+    };
+}
+
+// Whether a stored video entry (say, from a backup) is one this site could have made: its
+// links are re-derived rather than trusted, since the site opens `embed_url` in a frame
+export function isValidVideo(video) {
+    if (!video || typeof video !== 'object' || typeof video.id !== 'string' || typeof video.title !== 'string') {
+        return false;
+    }
+    if (!POSTER_URL_PATTERN.test(video.poster)) {
+        return false;
+    }
+    if (video.source === 'upload') {
+        return VIDEO_URL_PATTERN.test(video.url) && video.embed_url === video.url;
+    }
+    const external = externalVideo(String(video.url));
+    return external !== null && external.source === video.source && external.embed_url === video.embed_url;
+}
+
+// URLs of the clips an actor's uploaded videos point at
+export function actorVideoUrls(actor) {
+    return (actor.videos || []).filter(video => video.source === 'upload').map(video => video.url);
+}
+
+// Reorders the actor's videos and updates their titles from the editor's submitted list of
+// { id, title }, the same way applyPhotoEdits does for photos
+export function applyVideoEdits(videos, submitted) {
+    const byId = new Map(videos.map(video => [video.id, video]));
+    const ordered = [];
+
+    for (const entry of submitted) {
+        const video = entry && byId.get(entry.id);
+        if (!video) continue;
+        byId.delete(entry.id);
+        const title = stripMarkup(entry.title || '').trim().slice(0, MAX_TITLE_LENGTH);
+        ordered.push({ ...video, title: title || video.title });
+    }
+
+    return [...ordered, ...byId.values()];
+}
+
+function ascii(bytes, start, end) {
+    return String.fromCharCode(...bytes.subarray(start, end));
+}
@@ -0,0 +1,103 @@
+// Filmography entries.
+//
+// A work's `category` is one of WORK_CATEGORIES, stored by id and shown by its label in the
+// page's language; the public filmography is grouped in the order they are listed here. Besides
+// `year` and `title`, a work has the actor's `role` (and its `billing`, lead or supporting), the
+// `director`, the `broadcaster` (network or distributor), an outside `link` such as the work's
+// page or trailer, and a list of `awards`. `title` and `role` are translated like the actor's
+// text (see i18n.js).
+//
+// Works saved while the category was typed in freely are read through normalizeWork, which files
+// them under the category their Korean or English text names, or under `other`. A category that
+// names none of the list is kept as the work's `category_label`, shown in place of `other`'s own
+// label.
+
+import { TRANSLATED_WORK_FIELDS, normalizeTranslations } from './i18n.js';
+
+export const WORK_CATEGORIES = [
+    { id: 'film', labels: { ko: '영화', en: 'Film' }, aliases: ['movie', 'movies', 'films', '장편영화'] },
+    { id: 'short_film', labels: { ko: '단편영화', en: 'Short Film' }, aliases: ['short', 'shorts', 'short films', '단편'] },
+    { id: 'drama', labels: { ko: '드라마', en: 'TV Series' }, aliases: ['tv', 'tv drama', 'series', 'dramas', 'tv 드라마'] },
+    { id: 'web_series', labels: { ko: '웹드라마', en: 'Web Series' }, aliases: ['web drama', 'web', '웹 드라마', 'ott'] },
+    { id: 'theater', labels: { ko: '연극', en: 'Theater' }, aliases: ['theatre', 'play', 'plays', 'stage'] },
+    { id: 'musical', labels: { ko: '뮤지컬', en: 'Musical' }, aliases: ['musicals'] },
+    { id: 'variety', labels: { ko: '예능', en: 'Variety Show' }, aliases: ['variety', 'entertainment', 'tv show'] },
+    { id: 'commercial', labels: { ko: '광고', en: 'Commercial' }, aliases: ['cf', 'ad', 'ads', 'commercials', 'tv cf'] },
+    { id: 'music_video', labels: { ko: '뮤직비디오', en: 'Music Video' }, aliases: ['mv', 'music videos', '뮤비'] },
+    { id: 'other', labels: { ko: '기타', en: 'Other' }, aliases: ['etc'] },
+];
+
+export const WORK_CATEGORY_IDS = WORK_CATEGORIES.map(category => category.id);
+export const WORK_BILLINGS = ['lead', 'supporting'];
+const OTHER_CATEGORY = 'other';
+
+// The categories with their labels in `lang`, for the admin's inputs and the public filters;
+// `aliases` are other names a pasted filmography may use for them
+export function workCategories(lang) {
+    return WORK_CATEGORIES.map(category => ({
+        id: category.id,
+        label: category.labels[lang],
+        labels: category.labels,
+        aliases: category.aliases,
+    }));
+}
+
+export function categoryLabel(id, lang) {
+    const category = WORK_CATEGORIES.find(candidate => candidate.id === id);
+    return category ? category.labels[lang] : '';
+}
+
+// How `work`'s category is shown: its own label when it was filed under `other` with one
+export function workCategoryLabel(work, lang) {
+    return work.category === OTHER_CATEGORY && work.category_label ? work.category_label : categoryLabel(work.category, lang);
+}
+
+// The category id `text` names: an id, a label in any language or an alias ('' when none does)
+export function findCategory(text) {
+    const key = String(text || '').trim().toLowerCase().replace(/[\s_-]+/g, ' ');
+    if (!key) {
+        return '';
+    }
+    const category = WORK_CATEGORIES.find(candidate => candidate.id.replace(/_/g, ' ') === key
+        || Object.values(candidate.labels).some(label => label.toLowerCase() === key)
+        || candidate.aliases.includes(key));
+    return category ? category.id : '';
+}
+
+// Whether `link` is an absolute http(s) URL, the only kind shown on the public pages
+export function isWebLink(link) {
+    let url;
+    try {
+        url = new URL(link);
+    } catch (error) {
+        return false;
+    }
+    return url.protocol === 'http:' || url.protocol === 'https:';
+}
+
+// Upgrades a work written by an older version of the admin. The fields come out in the order
+// validation gives them (schema.js), so an upgraded work compares equal to the same work saved.
+export function normalizeWork(work) {
+    const translations = work.translations || {};
+    const typed = String(work.category || (translations.en && translations.en.category) || '').trim();
+    const category = WORK_CATEGORY_IDS.includes(work.category)
+        ? work.category
+        : findCategory(work.category) || findCategory(translations.en && translations.en.category) || OTHER_CATEGORY;
+    let label = '';
+    if (category === OTHER_CATEGORY) {
+        label = work.category_label || (findCategory(typed) ? '' : typed);
+    }
+    return {
+        category,
+        category_label: label,
+        year: work.year || '',
+        title: work.title || '',
+        role: work.role || '',
+        billing: WORK_BILLINGS.includes(work.billing) ? work.billing : '',
+        director: work.director || '',
+        broadcaster: work.broadcaster || '',
+        link: work.link && isWebLink(work.link) ? work.link : '',
+        awards: Array.isArray(work.awards) ? work.awards : [],
+        translations: normalizeTranslations(translations, TRANSLATED_WORK_FIELDS),
+    };
+}
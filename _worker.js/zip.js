@@ -0,0 +1,206 @@
+// Just enough of the zip format for roster backups.
+//
+// Archives are written uncompressed (the photos are compressed already) and streamed entry by
+// entry, so only one file has to be held in memory at a time. Reading accepts stored and
+// deflated entries, which covers archives re-packed with the usual desktop tools. Zip64 is not
+// supported, so archives are limited to 4 GB. A deflated entry is inflated to at most the size
+// its header declares, and no entry to more than MAX_ENTRY_BYTES, so a small archive can't
+// expand until the Worker runs out of memory.
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const UTF8_FLAG = 0x0800;
+const STORED = 0;
+const DEFLATED = 8;
+const MAX_ENTRY_BYTES = 100 * 1024 * 1024;
+
+// Streams a zip of `entries`, an (async) iterable of { name, data: Uint8Array, modified: Date }
+export function zipStream(entries) {
+    const chunks = zipChunks(entries);
+    return new ReadableStream({
+        async pull(controller) {
+            const { value, done } = await chunks.next();
+            if (done) {
+                controller.close();
+            } else {
+                controller.enqueue(value);
+            }
+        },
+        async cancel() {
+            await chunks.return();
+        },
+    });
+}
+
+async function* zipChunks(entries) {
+    const central = [];
+    let offset = 0;
+
+    for await (const entry of entries) {
+        const name = new TextEncoder().encode(entry.name);
+        const header = {
+            name,
+            crc: crc32(entry.data),
+            size: entry.data.length,
+            ...dosDateTime(entry.modified || new Date()),
+            offset,
+        };
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, LOCAL_HEADER, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(6, UTF8_FLAG, true);
+        local.setUint16(8, STORED, true);
+        local.setUint16(10, header.time, true);
+        local.setUint16(12, header.date, true);
+        local.setUint32(14, header.crc, true);
+        local.setUint32(18, header.size, true);
+        local.setUint32(22, header.size, true);
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);
+
+        yield new Uint8Array(local.buffer);
+        yield name;
+        yield entry.data;
+        offset += 30 + name.length + entry.data.length;
+        central.push(header);
+    }
+
+    const directoryOffset = offset;
+    for (const header of central) {
+        const record = new DataView(new ArrayBuffer(46));
+        record.setUint32(0, CENTRAL_HEADER, true);
+        record.setUint16(4, 20, true);
+        record.setUint16(6, 20, true);
+        record.setUint16(8, UTF8_FLAG, true);
+        record.setUint16(10, STORED, true);
+        record.setUint16(12, header.time, true);
+        record.setUint16(14, header.date, true);
+        record.setUint32(16, header.crc, true);
+        record.setUint32(20, header.size, true);
+        record.setUint32(24, header.size, true);
+        record.setUint16(28, header.name.length, true);
+        record.setUint32(42, header.offset, true);
+
+        yield new Uint8Array(record.buffer);
+        yield header.name;
+        offset += 46 + header.name.length;
+    }
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, END_OF_CENTRAL_DIRECTORY, true);
+    end.setUint16(8, central.length, true);
+    end.setUint16(10, central.length, true);
+    end.setUint32(12, offset - directoryOffset, true);
+    end.setUint32(16, directoryOffset, true);
+    yield new Uint8Array(end.buffer);
+}
+
+export function isZip(bytes) {
+    return bytes.length >= 4 && new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint32(0, true) === LOCAL_HEADER;
+}
+
+// Returns a Map of entry name -> async function resolving to the entry's bytes, so entries
+// are only inflated when they are actually needed. Throws on anything that isn't a zip this
+// module can read.
+export function readZip(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    // The end-of-central-directory record is followed by a comment of up to 64 KB
+    let end = -1;
+    for (let position = bytes.length - 22; position >= Math.max(0, bytes.length - 22 - 0xFFFF); position--) {
+        if (view.getUint32(position, true) === END_OF_CENTRAL_DIRECTORY) {
+            end = position;
+            break;
+        }
+    }
+    if (end === -1) {
+        throw new Error('Not a zip archive');
+    }
+
+    const count = view.getUint16(end + 10, true);
+    let position = view.getUint32(end + 16, true);
+    if (count === 0xFFFF || position === 0xFFFFFFFF) {
+        throw new Error('Zip64 archives are not supported');
+    }
+
+    const entries = new Map();
+    for (let index = 0; index < count; index++) {
+        if (position + 46 > bytes.length || view.getUint32(position, true) !== CENTRAL_HEADER) {
+            throw new Error('Corrupt zip central directory');
+        }
+        const method = view.getUint16(position + 10, true);
+        const compressedSize = view.getUint32(position + 20, true);
+        const size = view.getUint32(position + 24, true);
+        const nameLength = view.getUint16(position + 28, true);
+        const extraLength = view.getUint16(position + 30, true);
+        const commentLength = view.getUint16(position + 32, true);
+        const localOffset = view.getUint32(position + 42, true);
+        const name = new TextDecoder().decode(bytes.subarray(position + 46, position + 46 + nameLength));
+        position += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/')) continue;
+        if (localOffset + 30 > bytes.length || view.getUint32(localOffset, true) !== LOCAL_HEADER) {
+            throw new Error(`Corrupt zip entry "${name}"`);
+        }
+        const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const data = bytes.subarray(dataStart, dataStart + compressedSize);
+
+        if (method === STORED) {
+            entries.set(name, async () => data);
+        } else if (method === DEFLATED) {
+            entries.set(name, () => inflate(data, size, name));
+        } else {
+            throw new Error(`Unsupported compression in zip entry "${name}"`);
+        }
+    }
+    return entries;
+}
+
+async function inflate(data, size, name) {
+    if (size > MAX_ENTRY_BYTES) {
+        throw new Error(`Zip entry "${name}" is larger than ${MAX_ENTRY_BYTES / (1024 * 1024)} MB`);
+    }
+    const reader = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw')).getReader();
+    const output = new Uint8Array(size);
+    let length = 0;
+    for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        if (length + value.length > size) {
+            await reader.cancel();
+            throw new Error(`Zip entry "${name}" inflates to more than its declared size`);
+        }
+        output.set(value, length);
+        length += value.length;
+    }
+    return output.subarray(0, length);
+}
+
+function dosDateTime(date) {
+    return {
+        time: (date.getUTCHours() << 11) | (date.getUTCMinutes() << 5) | (date.getUTCSeconds() >> 1),
+        date: ((Math.max(date.getUTCFullYear(), 1980) - 1980) << 9) | ((date.getUTCMonth() + 1) << 5) | date.getUTCDate(),
+    };
+}
+
+let crcTable = null;
+
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
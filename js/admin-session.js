@@ -0,0 +1,49 @@
+(function ($) {
+    'use strict';
+
+    // The signed-in admin account on the admin pages, and what its role lets it do.
+    // Elements marked with data-permission="<permission>" (see _worker.js/users.js) are only
+    // shown to accounts that have it; they stay hidden until the session has loaded, so rendered
+    // markup never flashes an action the account can't take. `all-actors` stands for every
+    // role that isn't limited to assigned actors. A page whose <body> has
+    // data-page-permission="<permission>" sends everyone else back to the artist list.
+    // Page scripts use window.adminSession: `ready` resolves with the session and `can(permission)`
+    // answers once it has. Needs js/api.js.
+
+    var ALL_ACTORS = 'all-actors';
+    var FALLBACK_PAGE = '/admin-artists.html';
+
+    var $style = $('<style>[data-permission] { display: none !important; }</style>').appendTo('head');
+    var granted = [];
+
+    function can(permission) {
+        return granted.indexOf(permission) !== -1;
+    }
+
+    // Hide every marked element whose permission isn't granted, whenever it's rendered
+    function applyPermissions() {
+        var allowed = granted.map(function (permission) {
+            return ':not([data-permission="' + permission + '"])';
+        }).join('');
+        $style.text('[data-permission]' + allowed + ' { display: none !important; }');
+    }
+
+    var ready = siteApi.auth.session().then(function (session) {
+        granted = session.permissions.slice();
+        if (session.role !== 'manager') {
+            granted.push(ALL_ACTORS);
+        }
+        applyPermissions();
+
+        var pagePermission = $('body').attr('data-page-permission');
+        if (pagePermission && !can(pagePermission)) {
+            window.location.replace(FALLBACK_PAGE);
+        }
+        return session;
+    });
+
+    window.adminSession = {
+        ready: ready,
+        can: can
+    };
+})(jQuery);
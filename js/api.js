@@ -0,0 +1,541 @@
+(function () {
+    'use strict';
+
+    // Client for the Worker's API (_worker.js/index.js), used by every page instead of calling
+    // fetch or $.ajax itself. Each route has a method below; all of them return a Promise of the
+    // parsed JSON body, or reject with an ApiError carrying the HTTP status and the `error`,
+    // `fields` (per-input messages) and, for a 409, the `current` record from the response.
+    //
+    // - Requests time out after REQUEST_TIMEOUT_MS (uploads after UPLOAD_TIMEOUT_MS) and reject
+    //   with status 0, like a network failure.
+    // - Reads (GET) are retried up to MAX_RETRIES times when the network or the Worker fails
+    //   (status 0, 502, 503, 504); writes are not, since they may have gone through, unless
+    //   sending them twice does no harm (the parts of a photo upload).
+    // - Public reads are kept in memory for CACHE_TTL_MS and identical reads in flight are
+    //   shared; any successful write empties the cache, so the page never shows data older than
+    //   its own change. Each caller gets its own copy of the result. Admin reads always go to
+    //   the Worker, since another admin may have just changed what they show.
+    // - Public reads get the page's language (js/i18n.js) and, on a `?preview=1` page, preview.
+    // - A 401 from anything but the login itself sends the browser to the admin login page.
+    //
+    // load() shows a request's progress on an element: it is marked busy while the request runs
+    // and a message replaces it if it fails. alertError() is the admin pages' error dialog.
+    // Page scripts use window.siteApi.
+
+    var REQUEST_TIMEOUT_MS = 15000;
+    var UPLOAD_TIMEOUT_MS = 5 * 60 * 1000;
+    var MAX_RETRIES = 2;
+    var RETRY_DELAY_MS = 500;
+    var RETRY_STATUSES = [0, 502, 503, 504];
+    var CACHE_TTL_MS = 30 * 1000;
+    var LOGIN_PAGE = '/admin-login.html';
+
+    var cache = {};
+
+    function ApiError(status, body, reason) {
+        body = body || {};
+        this.name = 'ApiError';
+        this.status = status;
+        this.message = body.error || reason || 'HTTP ' + status;
+        this.fields = body.fields || {};
+        this.current = body.current;
+        this.body = body;
+        this.aborted = reason === 'aborted';
+    }
+    ApiError.prototype = Object.create(Error.prototype);
+    ApiError.prototype.constructor = ApiError;
+
+    function buildUrl(path, query) {
+        var params = new URLSearchParams();
+        Object.keys(query || {}).forEach(function (name) {
+            var value = query[name];
+            if (value !== null && value !== undefined && value !== '') {
+                params.set(name, value);
+            }
+        });
+        var search = params.toString();
+        return '/api' + path + (search ? '?' + search : '');
+    }
+
+    // The language, and `preview` on a page opened with ?preview=1, for the public listings
+    function publicQuery(query) {
+        var extra = {};
+        if (window.siteI18n) {
+            extra.lang = window.siteI18n.language;
+        }
+        if (new URLSearchParams(window.location.search).get('preview') === '1') {
+            extra.preview = '1';
+        }
+        return Object.assign(extra, query);
+    }
+
+    // One attempt: resolves with the response text, rejects with an ApiError
+    function send(method, url, options) {
+        if (options.progress) {
+            return sendWithProgress(method, url, options);
+        }
+        var controller = new AbortController();
+        var timedOut = false;
+        var timer = setTimeout(function () {
+            timedOut = true;
+            controller.abort();
+        }, options.timeout || (options.form || options.body ? UPLOAD_TIMEOUT_MS : REQUEST_TIMEOUT_MS));
+        if (options.signal) {
+            if (options.signal.aborted) controller.abort();
+            options.signal.addEventListener('abort', function () {
+                controller.abort();
+            });
+        }
+
+        var init = { method: method, credentials: 'same-origin', headers: {}, signal: controller.signal };
+        if (options.form) {
+            init.body = options.form;
+        } else if (options.body) {
+            init.headers['Content-Type'] = 'application/octet-stream';
+            init.body = options.body;
+        } else if (options.json !== undefined) {
+            init.headers['Content-Type'] = 'application/json';
+            init.body = JSON.stringify(options.json);
+        }
+
+        return fetch(url, init).then(function (response) {
+            return response.text().then(function (text) {
+                if (response.ok) {
+                    return text;
+                }
+                var body;
+                try {
+                    body = JSON.parse(text);
+                } catch (error) {
+                    body = {};
+                }
+                throw new ApiError(response.status, body);
+            });
+        }, function () {
+            throw new ApiError(0, null, timedOut ? 'The request timed out' : (controller.signal.aborted ? 'aborted' : 'Network error'));
+        }).then(function (text) {
+            clearTimeout(timer);
+            return text;
+        }, function (error) {
+            clearTimeout(timer);
+            throw error;
+        });
+    }
+
+    // The same through XMLHttpRequest, which (unlike fetch) reports how much of the body has
+    // been sent: options.progress(loaded, total) is called as it goes
+    function sendWithProgress(method, url, options) {
+        return new Promise(function (resolve, reject) {
+            var xhr = new XMLHttpRequest();
+            xhr.open(method, url);
+            xhr.withCredentials = true;
+            xhr.timeout = options.timeout || UPLOAD_TIMEOUT_MS;
+            if (options.body) {
+                xhr.setRequestHeader('Content-Type', 'application/octet-stream');
+            }
+            xhr.upload.onprogress = function (event) {
+                if (event.lengthComputable) {
+                    options.progress(event.loaded, event.total);
+                }
+            };
+            xhr.onload = function () {
+                if (xhr.status >= 200 && xhr.status < 300) {
+                    resolve(xhr.responseText);
+                    return;
+                }
+                var body;
+                try {
+                    body = JSON.parse(xhr.responseText);
+                } catch (error) {
+                    body = {};
+                }
+                reject(new ApiError(xhr.status, body));
+            };
+            xhr.onerror = function () {
+                reject(new ApiError(0, null, 'Network error'));
+            };
+            xhr.ontimeout = function () {
+                reject(new ApiError(0, null, 'The request timed out'));
+            };
+            xhr.onabort = function () {
+                reject(new ApiError(0, null, 'aborted'));
+            };
+            if (options.signal) {
+                if (options.signal.aborted) {
+                    xhr.abort();
+                    return;
+                }
+                options.signal.addEventListener('abort', function () {
+                    xhr.abort();
+                });
+            }
+            xhr.send(options.form || options.body || null);
+        });
+    }
+
+    function withRetries(method, url, options) {
+        var retries = options.retries !== undefined ? options.retries : (method === 'GET' ? MAX_RETRIES : 0);
+        function attempt(number) {
+            return send(method, url, options).catch(function (error) {
+                if (number >= retries || error.aborted || RETRY_STATUSES.indexOf(error.status) === -1) {
+                    throw error;
+                }
+                return new Promise(function (resolve) {
+                    setTimeout(resolve, RETRY_DELAY_MS * Math.pow(2, number));
+                }).then(function () {
+                    return attempt(number + 1);
+                });
+            });
+        }
+        return attempt(0);
+    }
+
+    // `options`: query, json (a body to send as JSON), form (FormData), body (a Blob to send as
+    // it is), progress (see sendWithProgress), signal, timeout, cache: false to skip the cache,
+    // retries: 0 to try a read only once (or MAX_RETRIES for a write that is safe to repeat),
+    // redirect: false to handle a 401 yourself
+    function request(method, path, options) {
+        options = options || {};
+        var url = buildUrl(path, options.query);
+        var text;
+
+        if (method === 'GET' && options.cache !== false && !options.signal) {
+            var cached = cache[url];
+            if (!cached || cached.expires < Date.now()) {
+                cached = cache[url] = { expires: Date.now() + CACHE_TTL_MS, text: withRetries(method, url, options) };
+                cached.text.catch(function () {
+                    if (cache[url] === cached) delete cache[url];
+                });
+            }
+            text = cached.text;
+        } else {
+            text = withRetries(method, url, options);
+        }
+
+        return text.then(function (body) {
+            if (method !== 'GET') {
+                cache = {};
+            }
+            return body ? JSON.parse(body) : null;
+        }, function (error) {
+            if (error.status === 401 && options.redirect !== false) {
+                window.location.href = LOGIN_PAGE + '?next=' + encodeURIComponent(window.location.pathname);
+            }
+            throw error;
+        });
+    }
+
+    function get(path, query, options) {
+        return request('GET', path, Object.assign({ query: query }, options));
+    }
+
+    // Admin reads skip the cache (see above)
+    function adminGet(path, query) {
+        return get(path, query, { cache: false });
+    }
+
+    function post(path, json, options) {
+        return request('POST', path, Object.assign({ json: json }, options));
+    }
+
+    function segment(value) {
+        return encodeURIComponent(value);
+    }
+
+    // Uploads one photo for the actor editor, part by part (see _worker.js/staging.js), and
+    // resolves with the completed upload { id, url, ... }; saving the editor with its id attaches
+    // the photo. `options`: actorId (none for an actor not saved yet), kind ('video' for a video
+    // clip, which addVideo then attaches), progress(loaded, total), signal, and upload: the
+    // `upload` of an earlier attempt's error, to carry on from the parts it already stored rather
+    // than start over.
+    function uploadPhoto(file, options) {
+        options = options || {};
+        var started = options.upload
+            ? adminGet('/admin/uploads/' + segment(options.upload.id)).catch(function (error) {
+                // Expired or cancelled in the meantime
+                if (error.status !== 404) throw error;
+                return null;
+            })
+            : Promise.resolve(null);
+
+        return started.then(function (upload) {
+            return upload || post('/admin/uploads', {
+                actor_id: options.actorId || null,
+                name: file.name,
+                size: file.size,
+                kind: options.kind || 'photo'
+            });
+        }).then(function (upload) {
+            var base = '/admin/uploads/' + segment(upload.id);
+            var count = Math.max(1, Math.ceil(file.size / upload.part_size));
+            var stored = 0;
+
+            function partSize(number) {
+                return Math.min(upload.part_size, file.size - (number - 1) * upload.part_size);
+            }
+            upload.parts.forEach(function (number) {
+                stored += partSize(number);
+            });
+            if (options.progress) options.progress(stored, file.size);
+
+            function next(number) {
+                if (number > count) {
+                    return post(base + '/complete', {}, { signal: options.signal });
+                }
+                if (upload.parts.indexOf(number) !== -1) {
+                    return next(number + 1);
+                }
+                var start = (number - 1) * upload.part_size;
+                return request('PUT', base + '/parts/' + number, {
+                    body: file.slice(start, start + partSize(number)),
+                    signal: options.signal,
+                    retries: MAX_RETRIES,
+                    progress: function (loaded) {
+                        if (options.progress) options.progress(stored + loaded, file.size);
+                    }
+                }).then(function () {
+                    stored += partSize(number);
+                    upload.parts.push(number);
+                    return next(number + 1);
+                });
+            }
+
+            return next(1).catch(function (error) {
+                error.upload = upload;
+                throw error;
+            });
+        });
+    }
+
+    // Marks `target` busy while `promise` runs, then hands the result to `render`. If the
+    // request fails, options.error(error) is called, or without one a generic message is shown
+    // in an alert right after `target`. Resolves with whether it worked.
+    function load(target, promise, render, options) {
+        var node = target && target.jquery ? target[0] : target;
+        options = options || {};
+        var notice = node && node.nextElementSibling && node.nextElementSibling.classList.contains('api-error')
+            ? node.nextElementSibling
+            : null;
+        if (node) {
+            node.classList.add('api-loading');
+            node.setAttribute('aria-busy', 'true');
+            if (notice) notice.remove();
+        }
+
+        function done() {
+            if (node) {
+                node.classList.remove('api-loading');
+                node.removeAttribute('aria-busy');
+            }
+        }
+
+        return promise.then(function (result) {
+            done();
+            if (render) render(result);
+            return true;
+        }, function (error) {
+            done();
+            if (error.aborted || error.status === 401) {
+                return false;
+            }
+            if (options.error) {
+                options.error(error);
+            } else if (node) {
+                var message = window.siteI18n ? window.siteI18n.t('api.failed') : error.message;
+                var alert = document.createElement('div');
+                alert.className = 'api-error';
+                alert.setAttribute('role', 'alert');
+                alert.textContent = message;
+                node.parentNode.insertBefore(alert, node.nextSibling);
+            }
+            return false;
+        });
+    }
+
+    // The admin pages' error dialog; a 401 is already on its way to the login page
+    function alertError(error, message) {
+        if (error.status === 401 || error.aborted) {
+            return;
+        }
+        alert((message || '오류가 발생했습니다') + ': ' + error.message);
+    }
+
+    window.siteApi = {
+        ApiError: ApiError,
+        request: request,
+        load: load,
+        alertError: alertError,
+
+        // [{ id, slug, name, english_name, large_text, small_text, main_photo, showreel }];
+        // query: category, year_from, year_to (only actors with such a work)
+        actors: function (query) {
+            return get('/actors', publicQuery(query));
+        },
+        // { id, name, ..., photos, videos, filmography }; `key` is an id or slug
+        actor: function (key) {
+            return get('/actors/' + segment(key), publicQuery());
+        },
+        // { photos, next_cursor }; query: actor, cursor, limit
+        photos: function (query) {
+            return get('/all-photos', publicQuery(query));
+        },
+        // { query, results }; query: q, limit, category, year_from, year_to. Pass options.signal
+        // to cancel a stale search.
+        search: function (query, options) {
+            return get('/search', publicQuery(query), options);
+        },
+        // [{ id, label, labels: { ko, en }, aliases }], the categories of works in filmography order
+        workCategories: function () {
+            return get('/work-categories', publicQuery());
+        },
+        // { posts, next_cursor }; query: tag, actor, cursor, limit
+        posts: function (query) {
+            return get('/posts', publicQuery(query));
+        },
+        // { id, slug, title, summary, cover, tags, actors, published_at, html }; `key` is an id or slug
+        post: function (key) {
+            return get('/posts/' + segment(key), publicQuery());
+        },
+        // values: name, email, phone, subject, message, actor_id
+        sendInquiry: function (values) {
+            return post('/inquiries', values);
+        },
+
+        auth: {
+            // { username, role, token, expires }
+            login: function (credentials) {
+                return post('/auth/login', credentials, { redirect: false });
+            },
+            logout: function () {
+                return post('/auth/logout', {});
+            },
+            // { username, role, actor_ids, permissions, expires }
+            session: function (options) {
+                return get('/auth/session', null, Object.assign({ cache: false }, options));
+            },
+            acceptInvite: function (token, password) {
+                return post('/auth/invite', { token: token, password: password }, { redirect: false });
+            }
+        },
+
+        admin: {
+            // Every actor the account may edit, full records in carousel order
+            actors: function () {
+                return adminGet('/admin/actors');
+            },
+            actor: function (id) {
+                return adminGet('/admin/actors/' + segment(id));
+            },
+            // `form` is the editor's FormData; resolves with the saved actor
+            createActor: function (form) {
+                return request('POST', '/admin/actors', { form: form });
+            },
+            saveActor: function (id, form) {
+                return request('PUT', '/admin/actors/' + segment(id), { form: form });
+            },
+            patchActor: function (id, changes) {
+                return request('PATCH', '/admin/actors/' + segment(id), { json: changes });
+            },
+            deleteActor: function (id) {
+                return request('DELETE', '/admin/actors/' + segment(id));
+            },
+            reorderActors: function (ids) {
+                return request('PUT', '/admin/actors/order', { json: { ids: ids } });
+            },
+            addVideo: function (id, form) {
+                return request('POST', '/admin/actors/' + segment(id) + '/videos', { form: form });
+            },
+            uploadPhoto: uploadPhoto,
+            // Drops an upload that won't be saved, with its photo
+            cancelUpload: function (id) {
+                return request('DELETE', '/admin/uploads/' + segment(id));
+            },
+
+            // Every blog post, drafts and scheduled ones included, newest first
+            posts: function () {
+                return adminGet('/admin/posts');
+            },
+            post: function (id) {
+                return adminGet('/admin/posts/' + segment(id));
+            },
+            // `form` is the post editor's FormData; resolves with the saved post
+            createPost: function (form) {
+                return request('POST', '/admin/posts', { form: form });
+            },
+            savePost: function (id, form) {
+                return request('PUT', '/admin/posts/' + segment(id), { form: form });
+            },
+            deletePost: function (id) {
+                return request('DELETE', '/admin/posts/' + segment(id));
+            },
+
+            // { inquiries, unread, next_cursor }; query: filter, cursor
+            inquiries: function (query) {
+                return adminGet('/admin/inquiries', query);
+            },
+            updateInquiry: function (id, changes) {
+                return request('PATCH', '/admin/inquiries/' + segment(id), { json: changes });
+            },
+
+            // { entries, next_cursor }; query: actor_id, action, user, since, until, cursor
+            audit: function (query) {
+                return adminGet('/admin/audit', query);
+            },
+            // state: 'before' or 'after'
+            restoreVersion: function (entryId, state) {
+                return post('/admin/audit/' + segment(entryId) + '/restore', { state: state });
+            },
+
+            // { retention_days, actors, photos }
+            trash: function () {
+                return adminGet('/admin/trash');
+            },
+            // type: 'actors' or 'photos'
+            restoreTrashItem: function (type, id) {
+                return post('/admin/trash/' + type + '/' + segment(id) + '/restore', {});
+            },
+            purgeTrashItem: function (type, id) {
+                return request('DELETE', '/admin/trash/' + type + '/' + segment(id));
+            },
+            // olderThanDays: null for the retention period, 0 for everything
+            purgeTrash: function (olderThanDays) {
+                return post('/admin/trash/purge', olderThanDays === null ? {} : { older_than_days: olderThanDays });
+            },
+
+            // query: mode (merge|replace), dry_run; `form` holds the backup file
+            importBackup: function (form, query) {
+                return request('POST', '/admin/backup/import', { form: form, query: query });
+            },
+            snapshots: function () {
+                return adminGet('/admin/backup/snapshots');
+            },
+            restoreSnapshot: function (id, query) {
+                return request('POST', '/admin/backup/snapshots/' + segment(id) + '/restore', { query: query });
+            },
+
+            storageHealth: function () {
+                return adminGet('/admin/storage/health');
+            },
+            repairStorage: function () {
+                return post('/admin/storage/repair', {});
+            },
+
+            users: function () {
+                return adminGet('/admin/users');
+            },
+            // values: username, role, actor_ids; resolves with { user, invite_url }
+            inviteUser: function (values) {
+                return post('/admin/users', values);
+            },
+            updateUser: function (username, values) {
+                return request('PATCH', '/admin/users/' + segment(username), { json: values });
+            },
+            reinviteUser: function (username) {
+                return post('/admin/users/' + segment(username) + '/invite', {});
+            },
+            deleteUser: function (username) {
+                return request('DELETE', '/admin/users/' + segment(username));
+            }
+        }
+    };
+})();
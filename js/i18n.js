@@ -0,0 +1,177 @@
+(function ($) {
+    'use strict';
+
+    // Language of the public site (Korean or English).
+    // Elements marked with data-i18n="key" get their text, and data-i18n-placeholder="key" their
+    // placeholder, from MESSAGES below. The choice made with the language switcher in the menu is
+    // kept in the `lang` cookie, which the Worker reads too, so pages it renders and the API
+    // answer in the same language. Page scripts use window.siteI18n for their own text and add
+    // `lang` to their API requests.
+
+    var LANGUAGES = ['ko', 'en'];
+    var DEFAULT_LANGUAGE = 'ko';
+    var COOKIE = 'lang';
+    var COOKIE_MAX_AGE = 60 * 60 * 24 * 365;
+
+    var MESSAGES = {
+        ko: {
+            'nav.home': '홈',
+            'nav.pages': '페이지',
+            'nav.about': '소개',
+            'nav.portfolio': '포트폴리오',
+            'nav.blog': '블로그',
+            'nav.contact': '문의',
+            'nav.elements': '요소',
+            'search.placeholder': '검색어를 입력하고 Enter를 누르세요...',
+            'search.results': '검색 결과',
+            'search.found': "'{query}' 검색 결과 {count}명",
+            'search.noResults': "'{query}'에 해당하는 아티스트가 없습니다.",
+            'search.noSuggestions': '일치하는 아티스트가 없습니다',
+            'search.empty': '아티스트 이름이나 작품명을 검색해 보세요.',
+            'search.failed': '검색하지 못했습니다. 잠시 후 다시 시도해 주세요.',
+            'search.seeAll': '모든 결과 보기',
+            'contact.heading': '문의하기',
+            'contact.name': '이름',
+            'contact.email': '이메일',
+            'contact.phone': '연락처 (선택)',
+            'contact.subject': '제목',
+            'contact.actor': '문의할 아티스트 (선택)',
+            'contact.message': '문의 내용',
+            'contact.send': '보내기',
+            'contact.sent': '문의가 접수되었습니다. 빠른 시일 내에 연락드리겠습니다.',
+            'contact.failed': '문의를 보내지 못했습니다. 잠시 후 다시 시도해 주세요.',
+            'actor.inquiry': '캐스팅 문의',
+            'actor.notFound': '아티스트를 찾을 수 없습니다',
+            'portfolio.all': '전체',
+            'portfolio.viewProfile': '프로필 보기',
+            'portfolio.loadMore': '더 보기',
+            'photo.credit': '사진',
+            'work.as': '{role} 역',
+            'work.lead': '주연',
+            'work.supporting': '조연',
+            'work.director': '감독 {name}',
+            'video.showreel': '쇼릴',
+            'blog.readMore': '더 읽기',
+            'blog.older': '이전 소식',
+            'blog.newest': '최신 소식',
+            'blog.all': '모든 소식',
+            'blog.empty': '아직 소식이 없습니다.',
+            'blog.notFound': '소식을 찾을 수 없습니다.',
+            'blog.tagged': "'{tag}' 소식",
+            'blog.newsOf': '{name} 관련 소식',
+            'api.failed': '내용을 불러오지 못했습니다. 잠시 후 다시 시도해 주세요.'
+        },
+        en: {
+            'nav.home': 'Home',
+            'nav.pages': 'Pages',
+            'nav.about': 'About',
+            'nav.portfolio': 'Portfolio',
+            'nav.blog': 'Blog',
+            'nav.contact': 'Contact',
+            'nav.elements': 'Elements',
+            'search.placeholder': 'Input your keyword then press enter...',
+            'search.results': 'Search results',
+            'search.found': "{count} artist(s) found for '{query}'",
+            'search.noResults': "No artists found for '{query}'.",
+            'search.noSuggestions': 'No matching artists',
+            'search.empty': 'Search for an artist or the title of a work.',
+            'search.failed': 'Sorry, the search failed. Please try again later.',
+            'search.seeAll': 'See all results',
+            'contact.heading': 'Please get in touch',
+            'contact.name': 'Your Name',
+            'contact.email': 'Your Email',
+            'contact.phone': 'Your Phone (optional)',
+            'contact.subject': 'Subject',
+            'contact.actor': 'Regarding an artist? (optional)',
+            'contact.message': 'Message',
+            'contact.send': 'Send',
+            'contact.sent': 'Thank you! Your message has been sent and we will get back to you soon.',
+            'contact.failed': 'Sorry, your message could not be sent. Please try again later.',
+            'actor.inquiry': 'Casting inquiry',
+            'actor.notFound': 'Artist not found',
+            'portfolio.all': 'All',
+            'portfolio.viewProfile': 'View profile',
+            'portfolio.loadMore': 'Load More',
+            'photo.credit': 'Photo',
+            'work.as': 'as {role}',
+            'work.lead': 'Lead',
+            'work.supporting': 'Supporting',
+            'work.director': 'Dir. {name}',
+            'video.showreel': 'Showreel',
+            'blog.readMore': 'Read More',
+            'blog.older': 'Older posts',
+            'blog.newest': 'Newest posts',
+            'blog.all': 'All posts',
+            'blog.empty': 'No news yet.',
+            'blog.notFound': 'This post could not be found.',
+            'blog.tagged': "News tagged '{tag}'",
+            'blog.newsOf': 'News about {name}',
+            'api.failed': 'Sorry, this could not be loaded. Please try again later.'
+        }
+    };
+
+    function readCookie() {
+        var match = document.cookie.match(new RegExp('(?:^|;\\s*)' + COOKIE + '=([^;]*)'));
+        return match ? match[1] : null;
+    }
+
+    function saveLanguage(lang) {
+        document.cookie = COOKIE + '=' + lang + '; path=/; max-age=' + COOKIE_MAX_AGE + '; samesite=lax';
+    }
+
+    // Same order as the Worker: ?lang=, the saved choice, then the browser's languages
+    function detectLanguage() {
+        var requested = new URLSearchParams(window.location.search).get('lang');
+        if (LANGUAGES.indexOf(requested) !== -1) {
+            saveLanguage(requested);
+            return requested;
+        }
+        var saved = readCookie();
+        if (LANGUAGES.indexOf(saved) !== -1) {
+            return saved;
+        }
+        var preferred = (navigator.languages || [navigator.language || '']).map(function (tag) {
+            return String(tag).toLowerCase().split('-')[0];
+        }).filter(function (lang) {
+            return LANGUAGES.indexOf(lang) !== -1;
+        });
+        return preferred[0] || DEFAULT_LANGUAGE;
+    }
+
+    var language = detectLanguage();
+
+    function t(key) {
+        return MESSAGES[language][key] || MESSAGES.en[key] || key;
+    }
+
+    function translatePage(root) {
+        $(root).find('[data-i18n]').each(function () {
+            $(this).text(t($(this).data('i18n')));
+        });
+        $(root).find('[data-i18n-placeholder]').each(function () {
+            $(this).attr('placeholder', t($(this).data('i18n-placeholder')));
+        });
+    }
+
+    window.siteI18n = {
+        language: language,
+        t: t,
+        translatePage: translatePage
+    };
+
+    $(function () {
+        document.documentElement.lang = language;
+        translatePage(document);
+        $('[data-set-lang="' + language + '"]').addClass('active');
+    });
+
+    // Switching reloads the page without any ?lang= so the saved choice applies from then on
+    $(document).on('click', '[data-set-lang]', function (e) {
+        e.preventDefault();
+        saveLanguage($(this).data('set-lang'));
+        var url = new URL(window.location.href);
+        url.searchParams.delete('lang');
+        window.location.href = url.toString();
+    });
+
+})(jQuery);
@@ -0,0 +1,74 @@
+(function ($) {
+    'use strict';
+
+    // Contact / casting inquiry forms (contact.html and the popup on the home page).
+    // The forms post to /api/inquiries; field errors from the API are shown under each input.
+    // Needs js/i18n.js for the status messages and js/api.js.
+
+    var $forms = $('.inquiry-form');
+    if ($forms.length === 0) {
+        return;
+    }
+
+    // contact.html?actor=<id> (linked from an actor's profile) preselects that actor
+    var preselectedActor = new URLSearchParams(window.location.search).get('actor');
+
+    siteApi.actors().then(function (actors) {
+        $forms.find('select[name="actor_id"]').each(function () {
+            var $select = $(this);
+            actors.forEach(function (actor) {
+                $('<option>').val(actor.id).text(actor.name).appendTo($select);
+            });
+            if (preselectedActor) {
+                $select.val(preselectedActor);
+            }
+        });
+    });
+
+    function clearFieldErrors($form) {
+        $form.find('.is-invalid').removeClass('is-invalid');
+        $form.find('[data-error-for]').text('');
+    }
+
+    function showFieldErrors($form, fields) {
+        $.each(fields || {}, function (name, message) {
+            $form.find('[name="' + name + '"]').addClass('is-invalid');
+            $form.find('[data-error-for="' + name + '"]').text(message);
+        });
+    }
+
+    function showStatus($form, message, isError) {
+        $form.find('.inquiry-form-status')
+            .text(message)
+            .toggleClass('text-danger', Boolean(isError))
+            .toggleClass('text-success', !isError);
+    }
+
+    $forms.on('submit', function (e) {
+        e.preventDefault();
+        var $form = $(this);
+        var $button = $form.find('[type="submit"]');
+        var data = {};
+        $.each($form.serializeArray(), function (i, field) {
+            data[field.name] = field.value;
+        });
+
+        clearFieldErrors($form);
+        showStatus($form, '');
+        $button.prop('disabled', true);
+
+        siteApi.sendInquiry(data).then(function () {
+            $form[0].reset();
+            if (preselectedActor) {
+                $form.find('select[name="actor_id"]').val(preselectedActor);
+            }
+            showStatus($form, siteI18n.t('contact.sent'));
+        }, function (error) {
+            showFieldErrors($form, error.fields);
+            showStatus($form, error.status ? error.message : siteI18n.t('contact.failed'), true);
+        }).then(function () {
+            $button.prop('disabled', false);
+        });
+    });
+
+})(jQuery);
@@ -0,0 +1,67 @@
+(function () {
+    'use strict';
+
+    // Safe rendering of stored content (actor names, captions, work titles, photo and video
+    // links) on the site and the admin pages. Anything that came from the API is text: it goes
+    // through escapeHtml when it is put into a markup string, or into the DOM with element(),
+    // which only ever sets text and attributes. Links go through safeUrl first, so a stored
+    // `javascript:` URL or one that breaks out of a CSS url() never reaches the page.
+    // Page scripts use window.siteRender.
+
+    var HTML_ESCAPES = {
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;'
+    };
+
+    function escapeHtml(value) {
+        return String(value == null ? '' : value).replace(/[&<>"']/g, function (character) {
+            return HTML_ESCAPES[character];
+        });
+    }
+
+    // `url` if it is relative or an http(s) link, otherwise '' (never a script URL). Browsers
+    // ignore control characters in a scheme, so those are dropped before it is checked.
+    function safeUrl(url) {
+        var value = String(url == null ? '' : url).replace(/[\u0000-\u001F\u007F]/g, '').trim();
+        var scheme = /^([a-z][a-z0-9+.-]*):/i.exec(value);
+        return !scheme || /^https?$/i.test(scheme[1]) ? value : '';
+    }
+
+    // A CSS url() value for a background image, or 'none' for an unsafe or missing URL
+    function cssUrl(url) {
+        var value = safeUrl(url);
+        return value ? 'url("' + value.replace(/["\\\n\r]/g, encodeURIComponent) + '")' : 'none';
+    }
+
+    // A DOM element with `attributes` set as given (href and src through safeUrl) and `children`,
+    // which are elements or strings; strings become text nodes, never markup.
+    function element(tag, attributes, children) {
+        var node = document.createElement(tag);
+        Object.keys(attributes || {}).forEach(function (name) {
+            var value = attributes[name];
+            if (value === null || value === undefined || value === false) {
+                return;
+            }
+            node.setAttribute(name, name === 'href' || name === 'src' ? safeUrl(value) : String(value));
+        });
+        (children || []).forEach(function (child) {
+            if (child === null || child === undefined || child === '') {
+                return;
+            }
+            node.appendChild(typeof child === 'string' || typeof child === 'number'
+                ? document.createTextNode(String(child))
+                : child);
+        });
+        return node;
+    }
+
+    window.siteRender = {
+        escapeHtml: escapeHtml,
+        safeUrl: safeUrl,
+        cssUrl: cssUrl,
+        element: element
+    };
+})();
@@ -0,0 +1,115 @@
+(function ($) {
+    'use strict';
+
+    // Header search on every public page. The form goes to search.html?q=...; while typing, the
+    // best few matches from /api/search are suggested in a dropdown under the input, each with
+    // the works that matched. Arrow keys move through the suggestions, Enter opens the chosen one
+    // (or the full results without one) and Escape closes them.
+    // Needs js/i18n.js and js/api.js.
+
+    var SUGGESTION_LIMIT = 5;
+    var TYPING_DELAY = 200;
+
+    var $form = $('.header-search-form form');
+    var $input = $form.find('input[name="q"]');
+    if ($input.length === 0) {
+        return;
+    }
+    var $menu = $('<div class="dropdown-menu search-suggestions" role="listbox"></div>').appendTo($form);
+    var timer = null;
+    var lastQuery = '';
+    var request = null;
+
+    function actorUrl(result) {
+        return 'actor.html?slug=' + encodeURIComponent(result.slug);
+    }
+
+    function close() {
+        $menu.removeClass('show').empty();
+    }
+
+    function render(query, results) {
+        $menu.empty();
+        results.forEach(function (result) {
+            var $item = $('<a class="dropdown-item" role="option"></a>').attr('href', actorUrl(result));
+            $('<span class="search-suggestion-name"></span>').text(result.name).appendTo($item);
+            if (result.works.length > 0) {
+                var work = result.works[0];
+                $('<small class="text-muted"></small>')
+                    .text([work.title, work.year].filter(Boolean).join(' · '))
+                    .appendTo($item);
+            }
+            $menu.append($item);
+        });
+        if (results.length === 0) {
+            $('<span class="dropdown-item-text text-muted"></span>').text(siteI18n.t('search.noSuggestions')).appendTo($menu);
+        } else {
+            $('<a class="dropdown-item search-suggestions-all"></a>')
+                .attr('href', 'search.html?q=' + encodeURIComponent(query))
+                .text(siteI18n.t('search.seeAll'))
+                .appendTo($menu);
+        }
+        $menu.addClass('show');
+    }
+
+    function suggest() {
+        var query = $.trim($input.val());
+        if (query === lastQuery) {
+            return;
+        }
+        lastQuery = query;
+        if (request) {
+            request.abort();
+        }
+        if (!query) {
+            close();
+            return;
+        }
+        request = new AbortController();
+        siteApi.search({ q: query, limit: SUGGESTION_LIMIT }, { signal: request.signal }).then(function (page) {
+            render(query, page.results);
+        }, function () {
+            // A failed or superseded suggestion leaves the menu as it was
+        });
+    }
+
+    $input.on('input', function () {
+        clearTimeout(timer);
+        timer = setTimeout(suggest, TYPING_DELAY);
+    });
+
+    $input.on('keydown', function (e) {
+        var $items = $menu.find('a.dropdown-item');
+        var index = $items.index($items.filter('.active'));
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            if ($items.length === 0) {
+                return;
+            }
+            e.preventDefault();
+            index = e.key === 'ArrowDown' ? (index + 1) % $items.length : (index <= 0 ? $items.length : index) - 1;
+            $items.removeClass('active').eq(index).addClass('active');
+        } else if (e.key === 'Enter' && index !== -1) {
+            e.preventDefault();
+            window.location.href = $items.eq(index).attr('href');
+        } else if (e.key === 'Escape') {
+            close();
+            lastQuery = '';
+        }
+    });
+
+    // A click inside the menu follows its link; anywhere else closes it
+    $(document).on('click', function (e) {
+        if (!$.contains($form[0], e.target)) {
+            close();
+            lastQuery = '';
+        }
+    });
+
+    // The search button in the header opens the form; start typing right away
+    $('#searchbtn').on('click', function () {
+        if ($('body').hasClass('search-form-on')) {
+            $input.trigger('focus');
+        }
+    });
+
+})(jQuery);
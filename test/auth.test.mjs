@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import worker from '../_worker.js/index.js';
+import { SESSION_COOKIE, createSessionToken } from '../_worker.js/auth.js';
+import { createTestEnv } from './memory-bucket.mjs';
+
+function call(env, path, { method = 'GET', body, headers = {} } = {}) {
+    const init = { method, headers: { ...headers } };
+    if (body !== undefined) {
+        init.headers['Content-Type'] = 'application/json';
+        init.body = JSON.stringify(body);
+    }
+    return worker.fetch(new Request(`https://example.test${path}`, init), env, { waitUntil() {} });
+}
+
+async function login(env, password = env.ADMIN_PASSWORD) {
+    return call(env, '/api/auth/login', { method: 'POST', body: { username: env.ADMIN_USERNAME, password } });
+}
+
+function bearer(token) {
+    return { Authorization: `Bearer ${token}` };
+}
+
+test('admin routes turn away requests without a session', async () => {
+    const env = createTestEnv();
+
+    const response = await call(env, '/api/admin/actors');
+
+    assert.equal(response.status, 401);
+    assert.match(response.headers.get('WWW-Authenticate'), /^Bearer/);
+});
+
+test('a wrong password gets no session', async () => {
+    const env = createTestEnv();
+
+    const response = await login(env, 'wrong');
+
+    assert.equal(response.status, 401);
+    assert.equal(response.headers.get('Set-Cookie'), null);
+});
+
+test('a session from the login works as a bearer token and as a cookie', async () => {
+    const env = createTestEnv();
+    const response = await login(env);
+    const { token } = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('Set-Cookie'), new RegExp(`^${SESSION_COOKIE}=${token};.*HttpOnly`));
+    assert.equal((await call(env, '/api/admin/actors', { headers: bearer(token) })).status, 200);
+    assert.equal((await call(env, '/api/admin/actors', { headers: { Cookie: `${SESSION_COOKIE}=${token}` } })).status, 200);
+});
+
+test('a tampered or foreign token is rejected', async () => {
+    const env = createTestEnv();
+    const { token } = await (await login(env)).json();
+    const [payload, signature] = token.split('.');
+    const forged = btoa(JSON.stringify({ sub: 'admin', gen: 0, exp: 4102444800 })).replace(/=+$/, '');
+    const { token: foreign } = await createSessionToken({ ...env, SESSION_SECRET: 'other-secret' }, 'admin');
+
+    for (const candidate of [`${forged}.${signature}`, `${payload}.x${signature.slice(1)}`, foreign, payload]) {
+        assert.equal((await call(env, '/api/admin/actors', { headers: bearer(candidate) })).status, 401);
+    }
+});
+
+test('an expired session is rejected', async t => {
+    const env = createTestEnv();
+    const { token } = await createSessionToken(env, 'admin');
+
+    t.mock.method(Date, 'now', () => new Date('2100-01-01').getTime());
+
+    assert.equal((await call(env, '/api/admin/actors', { headers: bearer(token) })).status, 401);
+});
+
+test('logging out clears the session cookie', async () => {
+    const env = createTestEnv();
+
+    const response = await call(env, '/api/auth/logout', { method: 'POST' });
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('Set-Cookie'), new RegExp(`^${SESSION_COOKIE}=;.*Max-Age=0`));
+});
+
+test('without credentials in env nobody can sign in', async () => {
+    const { token } = await createSessionToken(createTestEnv(), 'admin');
+    const env = createTestEnv({ SESSION_SECRET: undefined });
+
+    assert.equal((await login(env)).status, 503);
+    assert.equal((await call(env, '/api/admin/actors', { headers: bearer(token) })).status, 401);
+});
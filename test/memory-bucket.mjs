@@ -0,0 +1,110 @@
+// An in-memory stand-in for the R2 bucket binding, for the tests in this directory.
+//
+// It covers what the storage modules use: get/head/put/delete/list, with the conditional
+// `onlyIf` ETag checks (a put that fails its condition returns null, as R2 does) and
+// cursor-paginated listing. Every write gets a new ETag.
+//
+// Run the tests with `node --test test/` (Node 20 or later, no dependencies).
+
+export function createMemoryBucket() {
+    const objects = new Map();
+    let writes = 0;
+
+    function view(key, stored, withBody = true) {
+        const object = {
+            key,
+            size: stored.bytes.length,
+            etag: stored.etag,
+            httpEtag: `"${stored.etag}"`,
+            uploaded: stored.uploaded,
+            httpMetadata: stored.httpMetadata,
+            customMetadata: stored.customMetadata,
+            writeHttpMetadata(headers) {
+                if (stored.httpMetadata.contentType) {
+                    headers.set('Content-Type', stored.httpMetadata.contentType);
+                }
+            },
+        };
+        if (withBody) {
+            Object.assign(object, {
+                body: new Blob([stored.bytes]).stream(),
+                async text() { return new TextDecoder().decode(stored.bytes); },
+                async json() { return JSON.parse(new TextDecoder().decode(stored.bytes)); },
+                async arrayBuffer() { return stored.bytes.slice().buffer; },
+            });
+        }
+        return object;
+    }
+
+    function meetsCondition(stored, onlyIf) {
+        if (!onlyIf) return true;
+        const etag = stored ? stored.etag : null;
+        if (onlyIf.etagMatches !== undefined) {
+            const wanted = onlyIf.etagMatches.replace(/"/g, '');
+            if (etag === null || (wanted !== '*' && wanted !== etag)) return false;
+        }
+        if (onlyIf.etagDoesNotMatch !== undefined) {
+            const unwanted = onlyIf.etagDoesNotMatch.replace(/"/g, '');
+            if (etag !== null && (unwanted === '*' || unwanted === etag)) return false;
+        }
+        return true;
+    }
+
+    return {
+        objects,
+
+        async get(key, { onlyIf } = {}) {
+            const stored = objects.get(key);
+            if (!stored) return null;
+            return view(key, stored, meetsCondition(stored, onlyIf));
+        },
+
+        async head(key) {
+            const stored = objects.get(key);
+            return stored ? view(key, stored, false) : null;
+        },
+
+        async put(key, value, { onlyIf, httpMetadata = {}, customMetadata = {} } = {}) {
+            // Read the value first so the check and the write happen together, as in R2
+            const bytes = new Uint8Array(await new Response(value ?? '').arrayBuffer());
+            if (!meetsCondition(objects.get(key), onlyIf)) return null;
+            const stored = {
+                bytes,
+                etag: `etag-${++writes}`,
+                uploaded: new Date(),
+                httpMetadata,
+                customMetadata,
+            };
+            objects.set(key, stored);
+            return view(key, stored, false);
+        },
+
+        async delete(keys) {
+            [].concat(keys).forEach(key => objects.delete(key));
+        },
+
+        async list({ prefix = '', cursor, limit = 1000 } = {}) {
+            const keys = [...objects.keys()]
+                .filter(key => key.startsWith(prefix) && (!cursor || key > cursor))
+                .sort();
+            const page = keys.slice(0, limit);
+            return {
+                objects: page.map(key => view(key, objects.get(key), false)),
+                truncated: keys.length > limit,
+                cursor: page[page.length - 1],
+            };
+        },
+    };
+}
+
+// The bindings and vars the worker reads, with a fresh bucket
+export function createTestEnv(overrides = {}) {
+    return {
+        R2_BUCKET: createMemoryBucket(),
+        ASSETS: { fetch: async () => new Response('Not found', { status: 404 }) },
+        ADMIN_USERNAME: 'admin',
+        ADMIN_PASSWORD: 'correct horse',
+        SESSION_SECRET: 'test-secret',
+        ...overrides,
+    };
+}
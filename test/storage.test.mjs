@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ConflictError, createActor, getActor, listActors, updateActor } from '../_worker.js/storage.js';
+import { createMemoryBucket } from './memory-bucket.mjs';
+
+function actor(id, name) {
+    return { id, name, large_text: '', small_text: '', main_photo: null, photos: [] };
+}
+
+test('createActor refuses an id that is already taken', async () => {
+    const bucket = createMemoryBucket();
+    await createActor(bucket, actor('a', 'First'));
+
+    const error = await createActor(bucket, actor('a', 'Second')).catch(caught => caught);
+
+    assert.ok(error instanceof ConflictError);
+    assert.equal(error.current.name, 'First');
+    assert.equal((await getActor(bucket, 'a')).name, 'First');
+});
+
+test('actors created at the same time all end up in the index', async () => {
+    const bucket = createMemoryBucket();
+
+    await Promise.all(['a', 'b', 'c'].map(id => createActor(bucket, actor(id, id))));
+
+    assert.deepEqual((await listActors(bucket)).map(saved => saved.id).sort(), ['a', 'b', 'c']);
+});
+
+test('updateActor rejects an edit made on a stale version', async () => {
+    const bucket = createMemoryBucket();
+    const created = await createActor(bucket, actor('a', 'Before'));
+    const saved = await updateActor(bucket, 'a', current => ({ ...current, name: 'Theirs' }), { version: created.version });
+
+    const error = await updateActor(bucket, 'a', current => ({ ...current, name: 'Mine' }), { version: created.version })
+        .catch(caught => caught);
+
+    assert.ok(error instanceof ConflictError);
+    assert.equal(error.current.version, saved.version);
+    assert.equal((await getActor(bucket, 'a')).name, 'Theirs');
+});
+
+test('updateActor loses to a write that lands while it is working', async () => {
+    const bucket = createMemoryBucket();
+    await createActor(bucket, actor('a', 'Before'));
+
+    const error = await updateActor(bucket, 'a', async current => {
+        await updateActor(bucket, 'a', other => ({ ...other, name: 'Theirs' }));
+        return { ...current, name: 'Mine' };
+    }).catch(caught => caught);
+
+    assert.ok(error instanceof ConflictError);
+    assert.equal(error.current.name, 'Theirs');
+    assert.equal((await getActor(bucket, 'a')).name, 'Theirs');
+});
+
+test('updateActor keeps the id and bumps the version', async () => {
+    const bucket = createMemoryBucket();
+    const created = await createActor(bucket, actor('a', 'Before'));
+
+    const saved = await updateActor(bucket, 'a', current => ({ ...current, id: 'b', name: 'After' }), { version: created.version });
+
+    assert.equal(saved.id, 'a');
+    assert.notEqual(saved.version, created.version);
+    assert.deepEqual((await listActors(bucket)).map(stored => stored.name), ['After']);
+});